@@ -3,31 +3,71 @@ import { OrbitControls } from 'https://unpkg.com/three@0.161.0/examples/jsm/cont
 import { XRButton } from 'https://unpkg.com/three@0.161.0/examples/jsm/webxr/XRButton.js';
 import { XRHandModelFactory } from 'https://unpkg.com/three@0.161.0/examples/jsm/webxr/XRHandModelFactory.js';
 import { createLabelSprite, formatVec3 } from '../utils/threeUtils.js';
+import { AngleFilter, createFilter } from '../utils/smoothing.js';
 import { AudioVolumeMonitor } from '../audio/AudioVolumeMonitor.js';
+import { AudioFileSource, MicrophoneSource, TestSignalSource } from '../audio/AudioSources.js';
+import { ChordRecognizer } from '../audio/ChordRecognizer.js';
+import { MidiInput } from '../audio/MidiInput.js';
+import { MIDI_VELOCITY_MODES, MidiOutput, MockMidiOutput } from '../audio/MidiOutput.js';
+import { pcdToFrequencyDomain } from '../audio/pcdDft.js';
+import { SessionRecorder } from '../audio/SessionRecorder.js';
+import { SessionReplay } from '../audio/SessionReplay.js';
+import { ScorePlayer } from '../score/ScorePlayer.js';
+import { parseScoreFile } from '../score/scoreParsers.js';
+import { ShepardSynth } from '../audio/ShepardSynth.js';
+import { HarmonicSegmenter } from '../audio/HarmonicSegmenter.js';
 import { HandTracker } from '../hands/HandTracker.js';
 import { LogCluster } from '../ui/LogCluster.js';
 import { ControlPanel } from '../ui/ControlPanel.js';
 import { SoundPanel } from '../ui/SoundPanel.js';
+import { ChromagramPanel } from '../ui/ChromagramPanel.js';
+import { TonalQualityPanel } from '../ui/TonalQualityPanel.js';
+import { PitchContourPanel } from '../ui/PitchContourPanel.js';
+import { ProgressionTimelinePanel } from '../ui/ProgressionTimelinePanel.js';
 import { DoubleGrabController } from '../interactions/DoubleGrabController.js';
+import {
+  DEFAULT_TORUS_MAPPING,
+  TORUS_MAPPING_PRESETS,
+  computeWaypointCoordinates,
+  mapSpectrumToTorus,
+  resolveTorusMapping,
+  torusToPcd
+} from './torusMapping.js';
+
+const INPUT_DEVICE_STORAGE_KEY = 'vrtor.audio.inputDeviceId';
+
+function loadInputDevicePreference() {
+  try {
+    return window.localStorage.getItem(INPUT_DEVICE_STORAGE_KEY) || null;
+  } catch {
+    return null;
+  }
+}
+
+function saveInputDevicePreference(deviceId) {
+  try {
+    window.localStorage.setItem(INPUT_DEVICE_STORAGE_KEY, deviceId ?? '');
+  } catch {}
+}
+
+// Where the PCD that drives the torus comes from.
+const PCD_INPUT_MODES = [
+  { id: 'audio', label: 'Microphone' },
+  { id: 'midi', label: 'MIDI' },
+  { id: 'merged', label: 'Mic + MIDI' }
+];
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
 const DEFAULT_TORUS_RADIUS = 0.6;
 const THICK_TORUS_TUBE_RADIUS = 0.12;
 const THIN_TORUS_TUBE_RADIUS = 0.08;
-
-const STANDARD_NOTE_WAYPOINTS = [
-  { label: 'C', pha5: 0, pha3: 0, mag3: 1 },
-  { label: 'C#', pha5: -Math.PI * 5 / 6, pha3: -Math.PI / 2, mag3: 1 },
-  { label: 'D', pha5: Math.PI / 3, pha3: Math.PI, mag3: 1 },
-  { label: 'D#', pha5: -Math.PI / 2, pha3: Math.PI / 2, mag3: 1 },
-  { label: 'E', pha5: Math.PI * 2 / 3, pha3: 0, mag3: 1 },
-  { label: 'F', pha5: -Math.PI / 6, pha3: -Math.PI / 2, mag3: 1 },
-  { label: 'F#', pha5: Math.PI, pha3: Math.PI, mag3: 1 },
-  { label: 'G', pha5: Math.PI / 6, pha3: Math.PI / 2, mag3: 1 },
-  { label: 'G#', pha5: -Math.PI * 2 / 3, pha3: 0, mag3: 1 },
-  { label: 'A', pha5: Math.PI / 2, pha3: -Math.PI / 2, mag3: 1 },
-  { label: 'A#', pha5: -Math.PI / 3, pha3: Math.PI, mag3: 1 },
-  { label: 'B', pha5: Math.PI * 5 / 6, pha3: Math.PI / 2, mag3: 1 }
-];
+// Pinches up to this many tube radii from the tube centre still count as on the torus.
+const TORUS_PINCH_TOLERANCE = 1.2;
+// World-space distance within which a pinch selects a waypoint marker.
+const WAYPOINT_PINCH_RADIUS = 0.06;
 
 export class VRTorApp {
   constructor() {
@@ -65,18 +105,69 @@ export class VRTorApp {
     this.torusMesh = null;
     this.torusDataGroup = null;
     this.torusWaypointsGroup = null;
+    this.torusMapping = resolveTorusMapping(
+      new URLSearchParams(window.location.search).get('torusMapping') ?? DEFAULT_TORUS_MAPPING
+    );
+    this.torusMappingCoords = { around: 0, tube: 0, radius: 0 };
+    // Marker smoothing runs on render time; ?torusFilter=ema|median|oneEuro|none.
+    const torusFilter = new URLSearchParams(window.location.search).get('torusFilter') ?? { type: 'ema', timeConstant: 0.05 };
+    this.torusFilters = {
+      around: new AngleFilter(torusFilter),
+      tube: new AngleFilter(torusFilter),
+      radius: createFilter(torusFilter)
+    };
     this.torusAudioMarker = null;
+    this.torusChordLabel = null;
+    this.torusChordText = null;
+    this.torusOnsetPulse = 0;
+    this.torusBeatPulse = 0;
     this.torusLabel = null;
     this.torusAudioColor = new THREE.Color();
     this.torusAudioEmissive = new THREE.Color();
     this.torusAudioPosition = new THREE.Vector3();
     this.torusWorkVector = new THREE.Vector3();
+    this.torusPinchCoords = { around: 0, tube: 0, radius: 0 };
+    this.shepardSynth = new ShepardSynth();
+    this.synthHeldAnalysis = null;
+    this.sonifyingHand = null;
     this.torusGeometryParams = null;
     this.torusThicknessMode = 'thick';
     this.torusThicknessControl = null;
     this.torusPanel = null;
     this.soundPanel = null;
+    this.chromagramPanel = null;
+    this.tonalQualityPanel = null;
+    this.pitchContourPanel = null;
+    this.progressionPanel = null;
+    this.harmonicSegmenter = new HarmonicSegmenter();
+    this.describedSegments = [];
+    this.describedSegmentsSource = null;
+    this.harmonicSegmenter.on('segmentend', (segment) => {
+      const { label, coords } = this.describeSegment(segment);
+      const degrees = (angle) => THREE.MathUtils.euclideanModulo(THREE.MathUtils.radToDeg(angle), 360).toFixed(0);
+      this.recordSystemMessage(
+        `Segment: ${label} ${segment.duration.toFixed(1)}s at ${degrees(coords.around)}° / ${degrees(coords.tube)}°, r ${coords.radius.toFixed(2)}`
+      );
+    });
+    this.audioPanel = null;
+    this.analysisPanel = null;
     this.audioMonitor = null;
+    this.audioSourceOptions = [
+      new MicrophoneSource({ deviceId: loadInputDevicePreference() }),
+      new TestSignalSource({ label: 'Test chord (C major)', frequencies: [261.63, 329.63, 392.0] }),
+      new TestSignalSource({ label: 'Test noise', frequencies: [], noise: 1 })
+    ];
+    this.audioSourceIndex = 0;
+    this.sessionRecorder = new SessionRecorder();
+    this.sessionReplay = null;
+    const replaySpeed = Number.parseFloat(new URLSearchParams(window.location.search).get('replaySpeed'));
+    this.replaySpeed = Number.isFinite(replaySpeed) && replaySpeed > 0 ? replaySpeed : 1;
+    this.replayLoop = true;
+    this.replayPanel = null;
+    this.scorePlayer = null;
+    this.scoreWindow = new URLSearchParams(window.location.search).get('scoreWindow') === 'measure' ? 'measure' : 'beat';
+    this.scorePanel = null;
+    this.scorePlayControl = null;
     this.audioLevels = {
       level: 0,
       rms: 0,
@@ -88,6 +179,25 @@ export class VRTorApp {
     };
     this.lastAudioMonitorStatus = null;
     this.lastAudioErrorMessage = null;
+    this.lastKeyChange = null;
+    this.midiInput = null;
+    this.pcdInputMode = PCD_INPUT_MODES.find(
+      (mode) => mode.id === new URLSearchParams(window.location.search).get('pcdInput')
+    ) ?? PCD_INPUT_MODES[0];
+    this.midiPcd = new Float32Array(12);
+    this.mergedPcd = new Float32Array(12);
+    this.midiChordRecognizer = new ChordRecognizer();
+    const midiParams = new URLSearchParams(window.location.search);
+    this.midiOutput = new MidiOutput({
+      channel: Number.parseInt(midiParams.get('midiChannel') ?? '1', 10),
+      streamChannel: Number.parseInt(midiParams.get('midiStreamChannel') ?? midiParams.get('midiChannel') ?? '1', 10),
+      velocity: { mode: midiParams.get('midiVelocity') === 'level' ? 'level' : 'fixed' },
+      onPortLost: (port, error) => this.handleMidiOutputLost(port, error)
+    });
+    this.midiOutputPorts = [];
+    this.midiStreamEnabled = false;
+    this.midiWaypointNotes = { L: null, R: null };
+    this.midiPanel = null;
 
     this.setupEnvironment();
     this.setupHands();
@@ -173,7 +283,7 @@ export class VRTorApp {
     this.torusAudioMarker.receiveShadow = false;
     this.torusDataGroup.add(this.torusAudioMarker);
 
-    this.createStandardTorusWaypoints();
+    this.createTorusWaypoints();
 
     this.torusController = new DoubleGrabController(this.torusGroup, {
       proximity: 0.075,
@@ -209,10 +319,28 @@ export class VRTorApp {
           position: pinch.position ? pinch.position.clone() : null,
           speed: pinch.speed
         };
+        if (this.sonifyingHand === label) {
+          this.sonifyTorusPinch(label, pinch.position);
+        }
+      });
+
+      tracker.on('pinchstart', ({ label, pinch }) => {
+        if (!this.torusMovable) {
+          this.playWaypointAt(label, pinch.position);
+        }
+        if (!this.sonifyingHand && !this.torusMovable) {
+          this.sonifyTorusPinch(label, pinch.position);
+        }
       });
 
       tracker.on('pinchend', ({ label }) => {
         this.pinchTelemetry[label] = null;
+        this.midiOutput.release(this.midiWaypointNotes[label]);
+        this.midiWaypointNotes[label] = null;
+        if (this.sonifyingHand === label) {
+          this.sonifyingHand = null;
+          this.shepardSynth.noteOff();
+        }
       });
     });
   }
@@ -231,9 +359,56 @@ export class VRTorApp {
     });
     this.scene.add(this.torusPanel.group);
 
+    this.audioPanel = new ControlPanel({
+      position: new THREE.Vector3(-1.25, 0.72, -0.92),
+      rotation: new THREE.Euler(0, Math.PI / 5, 0),
+      header: 'Audio Controls'
+    });
+    this.scene.add(this.audioPanel.group);
+
+    this.analysisPanel = new ControlPanel({
+      position: new THREE.Vector3(-1.25, 1.24, -0.92),
+      rotation: new THREE.Euler(0, Math.PI / 5, 0),
+      header: 'Analysis Controls'
+    });
+    this.scene.add(this.analysisPanel.group);
+
+    this.midiPanel = new ControlPanel({
+      position: new THREE.Vector3(1.25, 0.72, -0.92),
+      rotation: new THREE.Euler(0, -Math.PI / 5, 0),
+      header: 'MIDI Controls'
+    });
+    this.scene.add(this.midiPanel.group);
+
+    this.scorePanel = new ControlPanel({
+      position: new THREE.Vector3(1.25, 1.24, -0.92),
+      rotation: new THREE.Euler(0, -Math.PI / 5, 0),
+      header: 'Score Controls'
+    });
+    this.scene.add(this.scorePanel.group);
+
+    this.replayPanel = new ControlPanel({
+      position: new THREE.Vector3(-2.0, 0.98, 0),
+      rotation: new THREE.Euler(0, Math.PI / 3, 0),
+      header: 'Replay Controls'
+    });
+    this.scene.add(this.replayPanel.group);
+
     this.configureControlPanel();
     this.configureTorusPanel();
+    this.configureAudioPanel();
+    this.configureAnalysisPanel();
+    this.configureMidiPanel();
+    this.configureScorePanel();
+    this.configureReplayPanel();
     this.setupSoundPanel();
+    this.setupChromagramPanel();
+    this.tonalQualityPanel = new TonalQualityPanel();
+    this.scene.add(this.tonalQualityPanel.group);
+    this.pitchContourPanel = new PitchContourPanel();
+    this.scene.add(this.pitchContourPanel.group);
+    this.progressionPanel = new ProgressionTimelinePanel();
+    this.scene.add(this.progressionPanel.group);
   }
 
   configureControlPanel() {
@@ -287,7 +462,7 @@ export class VRTorApp {
   configureTorusPanel() {
     this.torusPanel.addToggleButton({
       id: 'torusMovement',
-      position: new THREE.Vector3(0, -0.03, 0.06),
+      position: new THREE.Vector3(-0.36, -0.03, 0.06),
       toggleOptions: {
         offColor: 0x4b6070,
         offActiveColor: 0x6f8294,
@@ -314,7 +489,7 @@ export class VRTorApp {
 
     this.torusThicknessControl = this.torusPanel.addToggleButton({
       id: 'torusThickness',
-      position: new THREE.Vector3(0.28, -0.03, 0.06),
+      position: new THREE.Vector3(0, -0.03, 0.06),
       toggleOptions: {
         offColor: 0x4b6070,
         offActiveColor: 0x6f8294,
@@ -341,45 +516,814 @@ export class VRTorApp {
       }
     });
 
+    this.torusPanel.addMomentaryButton({
+      id: 'torusMapping',
+      position: new THREE.Vector3(0.36, -0.03, 0.06),
+      overlay: {
+        title: 'DFT Mapping',
+        valueLabel: 'Ring / tube · radius',
+        value: this.torusMapping.label,
+        hint: 'Tap to cycle coefficient pairs',
+        accent: '#c9a4ff'
+      },
+      onPress: () => {
+        const index = TORUS_MAPPING_PRESETS.findIndex((preset) => preset.id === this.torusMapping.id);
+        const next = TORUS_MAPPING_PRESETS[(index + 1) % TORUS_MAPPING_PRESETS.length];
+        this.setTorusMapping(next);
+        this.recordSystemMessage(`Torus mapping: ${next.label}`);
+      }
+    });
+
     this.applyTorusThickness(this.torusThicknessMode);
   }
 
   setupSoundPanel() {
     this.soundPanel = new SoundPanel({
-      position: new THREE.Vector3(0, 0.82, -1.32)
+      position: new THREE.Vector3(0, 0.8, -1.32),
+      onClipReset: () => {
+        if (!this.audioMonitor) return;
+        this.audioMonitor.resetClipCount();
+        this.recordSystemMessage('Clip count reset');
+      }
     });
     this.scene.add(this.soundPanel.group);
-    this.soundPanel.setStatus('Awaiting microphone permission…');
 
-    this.audioMonitor = new AudioVolumeMonitor();
+    const params = new URLSearchParams(window.location.search);
+    this.audioMonitor = new AudioVolumeMonitor({
+      worker: params.get('analysisWorker') !== 'off',
+      smoothing: {
+        level: params.get('levelFilter') ?? undefined,
+        pcd: params.get('pcdFilter') ?? undefined
+      }
+    });
     this.lastAudioMonitorStatus = this.audioMonitor.getStatus();
     this.lastAudioErrorMessage = this.audioMonitor.getErrorMessage();
+    this.audioMonitor.on('onset', ({ strength }) => {
+      if (this.shepardSynth.isAudible()) return;
+      this.torusOnsetPulse = Math.max(this.torusOnsetPulse, Math.min(1, 0.5 + strength));
+    });
+    this.audioMonitor.on('beat', () => {
+      if (this.shepardSynth.isAudible()) return;
+      this.torusBeatPulse = 1;
+    });
+    this.audioMonitor.on('analysisfallback', ({ message, reset }) => {
+      const lost = reset.length > 0 ? `; ${reset.join(', ')} reset` : '';
+      this.recordSystemMessage(`Analysis worker failed (${message}); analysing on the main thread${lost}`);
+    });
+    this.audioMonitor.on('devicechange', ({ devices }) => {
+      this.recordSystemMessage(`Audio inputs changed (${devices.length} available)`);
+      this.refreshInputDevices(devices);
+    });
+    this.audioMonitor.on('noisecalibrated', ({ seconds }) => {
+      this.analysisPanel?.updateOverlayEntry('calibrateNoise', { value: 'Calibrated' });
+      this.recordSystemMessage(`Noise profile captured (${seconds.toFixed(1)} s)`);
+    });
+    this.audioMonitor.on('keychange', ({ key, previous }) => {
+      if (this.shepardSynth.isAudible()) return;
+      this.lastKeyChange = {
+        from: previous?.label ?? null,
+        to: key?.label ?? null,
+        // Read the property: getElapsedTime() would advance the clock's delta.
+        time: this.clock.elapsedTime
+      };
+    });
+
+    this.setAudioSource(this.audioSourceOptions[this.audioSourceIndex]);
+  }
+
+  setupChromagramPanel() {
+    const params = new URLSearchParams(window.location.search);
+    const numberParam = (name, fallback) => {
+      const value = Number.parseFloat(params.get(name));
+      return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+    this.chromagramPanel = new ChromagramPanel({
+      historySeconds: numberParam('chromagramSeconds', 10),
+      updateRate: numberParam('chromagramRate', 15),
+      showDft: params.get('chromagramDft') === '1'
+    });
+    this.scene.add(this.chromagramPanel.group);
+  }
+
+  configureAudioPanel() {
+    this.audioPanel.addMomentaryButton({
+      id: 'audioSource',
+      position: new THREE.Vector3(-0.36, -0.03, 0.06),
+      overlay: {
+        title: 'Audio Source',
+        valueLabel: 'Input',
+        value: this.audioSourceOptions[this.audioSourceIndex].label,
+        hint: 'Tap to cycle inputs; drop audio, session JSON or a score on the page',
+        accent: '#ffd27f'
+      },
+      onPress: () => {
+        if (this.scorePlayer) {
+          this.stopScore();
+          return;
+        }
+        if (this.sessionReplay?.playing) {
+          this.stopReplay();
+          return;
+        }
+        this.audioSourceIndex = (this.audioSourceIndex + 1) % this.audioSourceOptions.length;
+        this.setAudioSource(this.audioSourceOptions[this.audioSourceIndex]);
+      }
+    });
+
+    this.audioPanel.addToggleButton({
+      id: 'lockReference',
+      position: new THREE.Vector3(0, -0.03, 0.06),
+      toggleOptions: {
+        offColor: 0x4b6cff,
+        offActiveColor: 0x7f96ff,
+        onColor: 0xffc15a,
+        onActiveColor: 0xffd98f,
+        emissiveColor: 0x2a1a00,
+        activationThreshold: 0.95,
+        releaseThreshold: 0.35
+      },
+      overlay: {
+        title: 'A4 Reference',
+        valueLabel: 'Tuning',
+        onValue: 'Locked',
+        offValue: 'Tracking',
+        hint: 'Tap to lock the detected A4',
+        onAccent: '#ffd27f',
+        offAccent: '#9de6ff'
+      },
+      onToggle: (toggled) => {
+        if (!this.audioMonitor) return;
+        if (toggled) {
+          const refA4 = this.audioMonitor.lockReference();
+          this.recordSystemMessage(`A4 reference locked at ${refA4.toFixed(1)} Hz`);
+        } else {
+          this.audioMonitor.unlockReference();
+          this.recordSystemMessage('A4 reference unlocked');
+        }
+      }
+    });
+
+    this.audioPanel.addToggleButton({
+      id: 'recordSession',
+      position: new THREE.Vector3(0.36, -0.03, 0.06),
+      toggleOptions: {
+        offColor: 0x5a6b78,
+        offActiveColor: 0x8196a6,
+        onColor: 0xff4d6d,
+        onActiveColor: 0xff8096,
+        emissiveColor: 0x2a0008,
+        activationThreshold: 0.95,
+        releaseThreshold: 0.35
+      },
+      overlay: {
+        title: 'Session',
+        valueLabel: 'Recorder',
+        onValue: 'Recording',
+        offValue: 'Idle',
+        hint: 'Tap to record; tap again to save JSON + CSV',
+        onAccent: '#ff9ebd',
+        offAccent: '#d2ebff'
+      },
+      onToggle: (toggled) => this.toggleSessionRecording(toggled)
+    });
+
+    window.addEventListener('dragover', (event) => {
+      event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer?.files?.[0];
+      if (!file) return;
+      if (file.type === 'application/json' || /\.json$/i.test(file.name)) {
+        this.loadReplayFile(file);
+        return;
+      }
+      if (/\.(mid|midi|musicxml|xml|mxl)$/i.test(file.name)) {
+        this.loadScoreFile(file);
+        return;
+      }
+      if (!file.type.startsWith('audio/') && !/\.(wav|mp3|ogg|oga|flac|m4a|aac|webm)$/i.test(file.name)) {
+        this.recordSystemMessage(`Unsupported file: ${file.name}`);
+        return;
+      }
+      const source = new AudioFileSource({ file });
+      this.audioSourceOptions = this.audioSourceOptions.filter((option) => option.kind !== 'file');
+      this.audioSourceOptions.push(source);
+      this.audioSourceIndex = this.audioSourceOptions.length - 1;
+      this.setAudioSource(source);
+    });
+  }
+
+  toggleSessionRecording(enabled) {
+    if (enabled) {
+      this.sessionRecorder.start({
+        source: this.sessionReplay?.playing
+          ? this.sessionReplay.label
+          : this.audioMonitor?.getSourceLabel() ?? 'No source',
+        windowSize: this.audioMonitor?.options.windowSize,
+        hopSize: this.audioMonitor?.options.hopSize,
+        sampleRate: this.audioMonitor?.sampleRate
+      });
+      this.recordSystemMessage('Session recording started');
+      return;
+    }
+    this.sessionRecorder.stop();
+    const frameCount = this.sessionRecorder.frames.length;
+    if (frameCount === 0) {
+      this.recordSystemMessage('Session recording stopped (no frames)');
+      return;
+    }
+    this.sessionRecorder.download('json');
+    this.sessionRecorder.download('csv');
+    this.recordSystemMessage(
+      `Session saved: ${frameCount} frames, ${this.sessionRecorder.getDuration().toFixed(1)}s`
+    );
+  }
+
+  async loadReplayFile(file) {
+    try {
+      const replay = await new SessionReplay({ speed: this.replaySpeed, loop: this.replayLoop }).loadFile(file);
+      this.startReplay(replay);
+    } catch (error) {
+      this.recordSystemMessage(`Replay error (${file.name}): ${error?.message ?? error}`);
+    }
+  }
+
+  startReplay(replay) {
+    this.stopScore();
+    this.endHarmonicSegment();
+    this.sessionReplay = replay;
+    replay.play();
+    this.soundPanel?.setSource(`Replay: ${replay.label}`);
+    this.updateReplayStatus();
+    this.audioPanel?.updateOverlayEntry('audioSource', { value: 'Replay' });
+    this.recordSystemMessage(
+      `Replaying ${replay.label} (${replay.getDuration().toFixed(1)}s at ×${replay.speed})`
+    );
+  }
+
+  stopReplay() {
+    if (!this.sessionReplay) return;
+    this.sessionReplay.stop();
+    this.recordSystemMessage(`Replay stopped: ${this.sessionReplay.label}`);
+    this.sessionReplay = null;
+    this.endHarmonicSegment();
+    // Force the live status to be redrawn on the next frame.
+    this.lastAudioMonitorStatus = null;
+    const source = this.audioMonitor?.getSource();
+    this.audioPanel?.updateOverlayEntry('audioSource', { value: source?.label ?? 'No source' });
+  }
+
+  configureReplayPanel() {
+    this.replayPanel.addMomentaryButton({
+      id: 'replaySpeed',
+      position: new THREE.Vector3(-0.27, -0.03, 0.06),
+      overlay: {
+        title: 'Replay Speed',
+        valueLabel: 'Rate',
+        value: `×${this.replaySpeed}`,
+        hint: 'Tap to cycle ×0.25 … ×4',
+        accent: '#ffd27f'
+      },
+      onPress: () => {
+        const next = REPLAY_SPEEDS.find((speed) => speed > this.replaySpeed) ?? REPLAY_SPEEDS[0];
+        this.replaySpeed = next;
+        this.sessionReplay?.setSpeed(next);
+        this.replayPanel.updateOverlayEntry('replaySpeed', { value: `×${next}` });
+        this.updateReplayStatus();
+        this.recordSystemMessage(`Replay speed: ×${next}`);
+      }
+    });
+
+    this.replayPanel.addToggleButton({
+      id: 'replayLoop',
+      position: new THREE.Vector3(0.27, -0.03, 0.06),
+      toggleOptions: {
+        offColor: 0x5a6b78,
+        offActiveColor: 0x8196a6,
+        onColor: 0x4dffc3,
+        onActiveColor: 0x8dffe0,
+        emissiveColor: 0x003a2a,
+        activationThreshold: 0.95,
+        releaseThreshold: 0.35,
+        initialToggled: this.replayLoop
+      },
+      overlay: {
+        title: 'Replay Loop',
+        valueLabel: 'At the end',
+        onValue: 'Loop',
+        offValue: 'Stop',
+        hint: 'Tap to loop or play once',
+        onAccent: '#00ffcc',
+        offAccent: '#d2ebff'
+      },
+      onToggle: (toggled) => {
+        this.replayLoop = toggled;
+        this.sessionReplay?.setLoop(toggled);
+        this.updateReplayStatus();
+        this.recordSystemMessage(`Replay loop: ${toggled ? 'ON' : 'OFF'}`);
+      }
+    });
+  }
+
+  updateReplayStatus() {
+    const replay = this.sessionReplay;
+    if (!replay) return;
+    this.soundPanel?.setStatus(`×${replay.speed} ${replay.loop ? 'looping' : 'once'}`);
+  }
+
+  configureScorePanel() {
+    this.scorePanel.addMomentaryButton({
+      id: 'scoreBack',
+      position: new THREE.Vector3(-0.36, -0.03, 0.06),
+      overlay: {
+        title: 'Seek Back',
+        valueLabel: 'Step',
+        value: '1 measure',
+        hint: 'Tap to jump to the previous measure',
+        accent: '#9de6ff'
+      },
+      onPress: () => this.scorePlayer?.seekMeasure(-1)
+    });
+
+    this.scorePlayControl = this.scorePanel.addToggleButton({
+      id: 'scorePlay',
+      position: new THREE.Vector3(0, -0.03, 0.06),
+      toggleOptions: {
+        offColor: 0x5a6b78,
+        offActiveColor: 0x8196a6,
+        onColor: 0x4dff88,
+        onActiveColor: 0x8dffb0,
+        emissiveColor: 0x003a12,
+        activationThreshold: 0.95,
+        releaseThreshold: 0.35
+      },
+      overlay: {
+        title: 'Score',
+        valueLabel: 'No score loaded',
+        onValue: 'Playing',
+        offValue: 'Paused',
+        hint: 'Drop a .mid or .musicxml file, tap to play',
+        onAccent: '#8dffb0',
+        offAccent: '#d2ebff'
+      },
+      onToggle: (toggled) => {
+        if (!this.scorePlayer) {
+          this.scorePlayControl.setToggled(false);
+          return;
+        }
+        if (toggled) {
+          this.scorePlayer.play();
+        } else {
+          this.scorePlayer.pause();
+        }
+      }
+    });
+
+    this.scorePanel.addMomentaryButton({
+      id: 'scoreForward',
+      position: new THREE.Vector3(0.36, -0.03, 0.06),
+      overlay: {
+        title: 'Seek Forward',
+        valueLabel: 'Step',
+        value: '1 measure',
+        hint: 'Tap to jump to the next measure',
+        accent: '#9de6ff'
+      },
+      onPress: () => this.scorePlayer?.seekMeasure(1)
+    });
+  }
+
+  async loadScoreFile(file) {
+    try {
+      const score = await parseScoreFile(file);
+      const player = new ScorePlayer({ window: this.scoreWindow }).load(score, file.name);
+      this.startScore(player);
+    } catch (error) {
+      this.recordSystemMessage(`Score error (${file.name}): ${error?.message ?? error}`);
+    }
+  }
+
+  startScore(player) {
+    this.stopReplay();
+    this.endHarmonicSegment();
+    this.scorePlayer = player;
+    player.play();
+    this.scorePlayControl?.setToggled(true);
+    this.soundPanel?.setSource(`Score: ${player.label}`);
+    this.soundPanel?.setStatus(`${player.score.measures.length} measures, per ${player.window}`);
+    this.audioPanel?.updateOverlayEntry('audioSource', { value: 'Score' });
+    this.recordSystemMessage(
+      `Score loaded: ${player.score.title} (${player.score.notes.length} notes, ${player.getDuration().toFixed(1)}s)`
+    );
+  }
+
+  stopScore() {
+    if (!this.scorePlayer) return;
+    this.recordSystemMessage(`Score closed: ${this.scorePlayer.label}`);
+    this.scorePlayer = null;
+    this.endHarmonicSegment();
+    this.scorePlayControl?.setToggled(false);
+    this.scorePanel?.updateOverlayEntry('scorePlay', { valueLabel: 'No score loaded' });
+    this.lastAudioMonitorStatus = null;
+    const source = this.audioMonitor?.getSource();
+    this.audioPanel?.updateOverlayEntry('audioSource', { value: source?.label ?? 'No source' });
+  }
+
+  /**
+   * Rebuilds the microphone entries of the source cycle from the current
+   * device list: one entry for the default input plus one per device. The
+   * active microphone source object is kept so the cycle index stays valid.
+   */
+  async refreshInputDevices(devices = null) {
+    let inputs = devices;
+    if (!inputs) {
+      try {
+        inputs = await MicrophoneSource.listInputDevices();
+      } catch {
+        return;
+      }
+    }
+
+    const active = this.audioMonitor?.getSource() ?? null;
+    const current = this.audioSourceOptions[this.audioSourceIndex] ?? null;
+    const existing = this.audioSourceOptions.filter((option) => option.kind === 'microphone');
+    const reuse = (deviceId, label) => {
+      const match = existing.find((option) => option.deviceId === deviceId);
+      if (match) {
+        match.label = label;
+        return match;
+      }
+      return new MicrophoneSource({ deviceId, label });
+    };
+
+    const microphones = [reuse(null, 'Microphone (default)')];
+    inputs
+      .filter((input) => input.deviceId && input.deviceId !== 'default' && input.deviceId !== 'communications')
+      .forEach((input, index) => {
+        microphones.push(reuse(input.deviceId, `Mic: ${input.label || `Input ${index + 1}`}`));
+      });
+    if (active?.kind === 'microphone' && !microphones.includes(active)) {
+      // Keep a chosen device that is currently unplugged so it can be reselected.
+      microphones.push(active);
+    }
+
+    const others = this.audioSourceOptions.filter((option) => option.kind !== 'microphone');
+    this.audioSourceOptions = [...microphones, ...others];
+    const index = this.audioSourceOptions.indexOf(current);
+    this.audioSourceIndex = index >= 0 ? index : 0;
+    if (active) {
+      this.soundPanel?.setSource(active.label);
+      if (!this.sessionReplay) {
+        this.audioPanel?.updateOverlayEntry('audioSource', { value: active.label });
+      }
+    }
+  }
+
+  configureAnalysisPanel() {
+    this.analysisPanel.addMomentaryButton({
+      id: 'calibrateNoise',
+      position: new THREE.Vector3(-0.36, -0.03, 0.06),
+      overlay: {
+        title: 'Noise Profile',
+        valueLabel: 'Calibration',
+        value: 'None',
+        hint: 'Tap, then stay quiet for 3 s; tap again to clear',
+        accent: '#ffd27f'
+      },
+      onPress: () => {
+        if (!this.audioMonitor) return;
+        if (this.audioMonitor.getNoiseStatus().state === 'calibrated') {
+          this.audioMonitor.clearNoiseProfile();
+          this.analysisPanel.updateOverlayEntry('calibrateNoise', { value: 'None' });
+          this.recordSystemMessage('Noise profile cleared');
+          return;
+        }
+        this.audioMonitor.startNoiseCalibration(3);
+        this.analysisPanel.updateOverlayEntry('calibrateNoise', { value: 'Listening…' });
+        this.recordSystemMessage('Noise calibration: capturing 3 s of background');
+      }
+    });
+
+    this.analysisPanel.addToggleButton({
+      id: 'adaptiveNoise',
+      position: new THREE.Vector3(0, -0.03, 0.06),
+      toggleOptions: {
+        offColor: 0x5a6b78,
+        offActiveColor: 0x8196a6,
+        onColor: 0x4dffc3,
+        onActiveColor: 0x8dffe0,
+        emissiveColor: 0x003a2a,
+        activationThreshold: 0.95,
+        releaseThreshold: 0.35
+      },
+      overlay: {
+        title: 'Noise Floor',
+        valueLabel: 'Adaptive',
+        hint: 'Tap to track the floor continuously',
+        onAccent: '#00ffcc',
+        offAccent: '#d2ebff'
+      },
+      onToggle: (toggled) => {
+        this.audioMonitor?.setAdaptiveNoiseFloor(toggled);
+        this.recordSystemMessage(`Adaptive noise floor: ${toggled ? 'ON' : 'OFF'}`);
+      }
+    });
+
+    this.analysisPanel.addMomentaryButton({
+      id: 'pcdInput',
+      position: new THREE.Vector3(0.36, -0.03, 0.06),
+      overlay: {
+        title: 'PCD Input',
+        valueLabel: 'Source',
+        value: this.pcdInputMode.label,
+        hint: 'Tap to cycle mic / MIDI / both',
+        accent: '#ffb0f0'
+      },
+      onPress: () => {
+        const index = PCD_INPUT_MODES.indexOf(this.pcdInputMode);
+        this.setPcdInputMode(PCD_INPUT_MODES[(index + 1) % PCD_INPUT_MODES.length].id);
+      }
+    });
+
+    if (this.pcdInputMode.id !== 'audio') {
+      this.setPcdInputMode(this.pcdInputMode.id);
+    }
+  }
+
+  configureMidiPanel() {
+    this.midiPanel.addMomentaryButton({
+      id: 'midiOutput',
+      position: new THREE.Vector3(-0.36, -0.03, 0.06),
+      overlay: {
+        title: 'MIDI Out',
+        valueLabel: 'Port',
+        value: 'Off',
+        hint: 'Tap to cycle outputs (incl. mock)',
+        accent: '#ffb0f0'
+      },
+      onPress: () => this.cycleMidiOutput()
+    });
+
+    this.midiPanel.addToggleButton({
+      id: 'midiStream',
+      position: new THREE.Vector3(0, -0.03, 0.06),
+      toggleOptions: {
+        offColor: 0x5a6b78,
+        offActiveColor: 0x8196a6,
+        onColor: 0xff7ad9,
+        onActiveColor: 0xffa6e6,
+        emissiveColor: 0x2a0020,
+        activationThreshold: 0.95,
+        releaseThreshold: 0.35
+      },
+      overlay: {
+        title: 'Note Stream',
+        valueLabel: `Dominant PC · ch ${this.midiOutput.streamChannel}`,
+        onValue: 'Sending',
+        offValue: 'Off',
+        hint: 'Tap to send the dominant pitch class',
+        onAccent: '#ffb0f0',
+        offAccent: '#d2ebff'
+      },
+      onToggle: (toggled) => {
+        this.midiStreamEnabled = toggled;
+        if (!toggled) {
+          this.midiOutput.updateStream(null);
+        }
+        this.recordSystemMessage(`MIDI note stream: ${toggled ? 'ON' : 'OFF'}`);
+      }
+    });
+
+    const velocityLabel = () => {
+      const mode = MIDI_VELOCITY_MODES.find((entry) => entry.id === this.midiOutput.velocity.mode);
+      return mode.id === 'fixed' ? `${mode.label} ${this.midiOutput.velocity.value}` : mode.label;
+    };
+    this.midiPanel.addMomentaryButton({
+      id: 'midiVelocity',
+      position: new THREE.Vector3(0.36, -0.03, 0.06),
+      overlay: {
+        title: 'Velocity',
+        valueLabel: `Waypoints · ch ${this.midiOutput.channel}`,
+        value: velocityLabel(),
+        hint: 'Tap to cycle velocity mapping',
+        accent: '#c9a4ff'
+      },
+      onPress: () => {
+        const index = MIDI_VELOCITY_MODES.findIndex((entry) => entry.id === this.midiOutput.velocity.mode);
+        this.midiOutput.setVelocityMode(MIDI_VELOCITY_MODES[(index + 1) % MIDI_VELOCITY_MODES.length].id);
+        this.midiPanel.updateOverlayEntry('midiVelocity', { value: velocityLabel() });
+        this.recordSystemMessage(`MIDI velocity: ${velocityLabel()}`);
+      }
+    });
+
+    if (new URLSearchParams(window.location.search).get('midiOut') === 'mock') {
+      this.setMidiOutputPort(this.createMockMidiOutput());
+    }
+  }
+
+  createMockMidiOutput() {
+    return new MockMidiOutput({
+      onMessage: ({ data }) => {
+        const type = data[0] & 0xf0;
+        if (type !== 0x80 && type !== 0x90) return;
+        const name = `${PITCH_CLASS_NAMES[data[1] % 12]}${Math.floor(data[1] / 12) - 1}`;
+        this.recordSystemMessage(
+          `MIDI mock ch ${(data[0] & 0x0f) + 1}: ${type === 0x90 ? `on ${name} v${data[2]}` : `off ${name}`}`
+        );
+      }
+    });
+  }
+
+  /** Steps through Off → connected Web MIDI outputs → mock output. */
+  async cycleMidiOutput() {
+    const current = this.midiOutput.port;
+    if (!current) {
+      try {
+        this.midiOutputPorts = MidiOutput.isSupported() ? await this.midiOutput.listPorts() : [];
+      } catch (error) {
+        this.midiOutputPorts = [];
+        this.recordSystemMessage(`MIDI output error: ${error?.message ?? error}`);
+      }
+    }
+    const choices = [null, ...this.midiOutputPorts, 'mock'];
+    const index = current instanceof MockMidiOutput ? choices.length - 1 : choices.indexOf(current);
+    const next = choices[(index + 1) % choices.length];
+    this.setMidiOutputPort(next === 'mock' ? this.createMockMidiOutput() : next);
+  }
+
+  setMidiOutputPort(port) {
+    Object.keys(this.midiWaypointNotes).forEach((label) => {
+      this.midiWaypointNotes[label] = null;
+    });
+    this.midiOutput.setPort(port);
+    const name = port?.name ?? 'Off';
+    this.midiPanel?.updateOverlayEntry('midiOutput', { value: name });
+    this.recordSystemMessage(`MIDI output: ${name}`);
+  }
+
+  /** The output port failed to send (e.g. unplugged); MidiOutput already dropped it. */
+  handleMidiOutputLost(port, error) {
+    Object.keys(this.midiWaypointNotes).forEach((label) => {
+      this.midiWaypointNotes[label] = null;
+    });
+    this.midiPanel?.updateOverlayEntry('midiOutput', { value: 'Off' });
+    this.recordSystemMessage(`MIDI output lost (${port?.name ?? 'unknown'}): ${error.message}`);
+  }
+
+  /**
+   * Sends the notes of the waypoint marker nearest to a pinch, if one is
+   * within reach. The notes are released on `pinchend`.
+   */
+  playWaypointAt(label, position) {
+    if (!this.midiOutput.port || !position || !this.torusWaypointsGroup) return;
+    let nearest = null;
+    let nearestDistance = WAYPOINT_PINCH_RADIUS;
+    this.torusWaypointsGroup.children.forEach((child) => {
+      if (!child.userData.waypoint) return;
+      const distance = child.getWorldPosition(this.torusWorkVector).distanceTo(position);
+      if (distance < nearestDistance) {
+        nearest = child.userData.waypoint;
+        nearestDistance = distance;
+      }
+    });
+    if (!nearest) return;
+    this.midiOutput.release(this.midiWaypointNotes[label]);
+    this.midiWaypointNotes[label] = this.midiOutput.playPitchClasses(
+      nearest.pitchClasses,
+      this.audioLevels.level
+    );
+  }
+
+  /**
+   * Chooses whether the torus follows the microphone, the held MIDI notes or
+   * both. MIDI access is requested the first time it is needed.
+   * @param {'audio'|'midi'|'merged'} modeId
+   */
+  setPcdInputMode(modeId) {
+    this.pcdInputMode = PCD_INPUT_MODES.find((mode) => mode.id === modeId) ?? PCD_INPUT_MODES[0];
+    this.analysisPanel?.updateOverlayEntry('pcdInput', { value: this.pcdInputMode.label });
+    this.recordSystemMessage(`PCD input: ${this.pcdInputMode.label}`);
+    this.endHarmonicSegment();
+
+    if (this.pcdInputMode.id === 'audio' || this.midiInput) {
+      return;
+    }
+    if (!MidiInput.isSupported()) {
+      this.recordSystemMessage('Web MIDI is not available in this browser');
+      return;
+    }
+    this.midiInput = new MidiInput();
+    this.midiInput.on('inputschange', ({ inputs }) => {
+      this.recordSystemMessage(
+        inputs.length > 0 ? `MIDI inputs: ${inputs.join(', ')}` : 'No MIDI inputs connected'
+      );
+    });
+    this.midiInput.start().catch((error) => {
+      this.recordSystemMessage(`MIDI error: ${error?.message ?? error}`);
+    });
+  }
+
+  /**
+   * While the Shepard synth (or its release tail) is audible the microphone
+   * hears it, so the harmonic results of the live frame are replaced by those
+   * from just before it started; levels keep updating.
+   */
+  holdAnalysisForSynth(frame) {
+    if (!this.shepardSynth.isAudible()) {
+      this.synthHeldAnalysis = null;
+      return frame;
+    }
+    if (!this.synthHeldAnalysis) {
+      const previous = this.audioLevels;
+      this.synthHeldAnalysis = {
+        pcd: Float32Array.from(previous.pcd),
+        dft: {
+          amplitudes: Float32Array.from(previous.dft.amplitudes),
+          phases: Float32Array.from(previous.dft.phases)
+        },
+        primary: previous.primary ?? null,
+        pitch: previous.pitch ?? null,
+        chord: previous.chord ?? null,
+        key: previous.key ?? null
+      };
+    }
+    return { ...frame, ...this.synthHeldAnalysis };
+  }
+
+  /**
+   * Replaces the PCD of a live analysis frame according to the PCD input
+   * mode. MIDI and microphone PCDs both sum to 1, so merging adds them and
+   * renormalises. The DFT and chord are recomputed from the result.
+   */
+  applyPcdInput(audioLevels) {
+    const mode = this.pcdInputMode.id;
+    if (mode === 'audio' || !this.midiInput) {
+      return audioLevels;
+    }
+
+    const midiLevel = this.midiInput.computePcd(this.midiPcd);
+    const pcd = this.mergedPcd;
+    let sum = 0;
+    for (let i = 0; i < 12; i += 1) {
+      pcd[i] = this.midiPcd[i] + (mode === 'merged' ? audioLevels.pcd[i] : 0);
+      sum += pcd[i];
+    }
+    if (sum > 0) {
+      const inv = 1 / sum;
+      for (let i = 0; i < 12; i += 1) {
+        pcd[i] *= inv;
+      }
+    }
+
+    const { amplitudes, phases } = pcdToFrequencyDomain(pcd);
+    const merged = mode === 'merged';
+    return {
+      ...audioLevels,
+      level: merged ? Math.max(audioLevels.level, midiLevel) : midiLevel,
+      rms: merged ? audioLevels.rms : 0,
+      midiLevel,
+      pcd,
+      dft: { amplitudes, phases },
+      primary: merged ? audioLevels.primary : null,
+      pitch: merged ? audioLevels.pitch : null,
+      chord: this.midiChordRecognizer.recognize(pcd),
+      key: merged ? audioLevels.key : null
+    };
+  }
+
+  setAudioSource(source) {
+    if (!this.audioMonitor || !source) {
+      return;
+    }
+
+    this.endHarmonicSegment();
+    this.soundPanel?.setSource(source.label);
+    this.audioPanel?.updateOverlayEntry('audioSource', { value: source.label });
 
     const handleSuccess = () => {
+      if (this.audioMonitor.getSource() !== source) return;
       this.lastAudioMonitorStatus = this.audioMonitor.getStatus();
       this.lastAudioErrorMessage = null;
-      this.soundPanel.setStatus('Microphone active');
-      this.recordSystemMessage('Microphone access granted');
+      this.soundPanel?.setStatus(this.audioMonitor.getStatusDescription());
+      this.recordSystemMessage(
+        source.kind === 'microphone' ? `Microphone access granted (${source.label})` : `Audio source: ${source.label}`
+      );
+      if (source.kind === 'microphone') {
+        saveInputDevicePreference(source.deviceId);
+        this.refreshInputDevices();
+      }
     };
 
     const handleError = (error) => {
-      const message = error?.message ?? 'Unable to access microphone';
+      const message = error?.message ?? `Unable to open ${source.label}`;
       this.lastAudioMonitorStatus = 'error';
       this.lastAudioErrorMessage = message;
-      this.soundPanel.setStatus(`Microphone error: ${message}`, { type: 'error' });
-      this.recordSystemMessage(`Microphone error: ${message}`);
+      this.soundPanel?.setStatus(`error: ${message}`, { type: 'error' });
+      this.recordSystemMessage(`${source.label} error: ${message}`);
     };
 
-    try {
-      const startResult = this.audioMonitor.start();
-      if (startResult && typeof startResult.then === 'function') {
-        startResult.then(handleSuccess).catch(handleError);
-      } else {
-        handleSuccess();
-      }
-    } catch (error) {
-      handleError(error);
-    }
+    this.audioMonitor.setSource(source).then(handleSuccess).catch(handleError);
   }
 
   updateTorusGeometry({ radius, tube } = {}) {
@@ -420,7 +1364,7 @@ export class VRTorApp {
       this.torusLabel.position.set(0, 0, labelOffset);
     }
 
-    this.createStandardTorusWaypoints();
+    this.createTorusWaypoints();
     this.updateTorusAudioMapping(this.audioLevels);
   }
 
@@ -440,7 +1384,11 @@ export class VRTorApp {
     this.updateTorusGeometry({ tube: tubeRadius });
   }
 
-  computeTorusPoint(pha5, pha3, mag3, target = this.torusAudioPosition) {
+  /**
+   * Converts torus coordinates (ring angle, tube angle, normalised radius in
+   * tube radii) into a point in torus-mesh space.
+   */
+  computeTorusPoint(around, tube, radius, target = this.torusAudioPosition) {
     if (!this.torusMesh) {
       return target.set(0, 0, 0);
     }
@@ -448,11 +1396,11 @@ export class VRTorApp {
     const params = this.torusGeometryParams ?? this.torusMesh.geometry?.parameters ?? {};
     const majorRadius = params.radius ?? DEFAULT_TORUS_RADIUS;
     const tubeRadius = params.tube ?? THICK_TORUS_TUBE_RADIUS;
-    const normalizedMag = THREE.MathUtils.clamp(mag3 ?? 0, -1.25, 1.25);
+    const normalizedMag = THREE.MathUtils.clamp(radius ?? 0, -1.25, 1.25);
     const radialOffset = normalizedMag * tubeRadius;
 
-    const aroundAngle = pha5 ?? 0;
-    const tubeAngle = pha3 ?? 0;
+    const aroundAngle = around ?? 0;
+    const tubeAngle = tube ?? 0;
 
     const cosAround = Math.cos(aroundAngle);
     const sinAround = Math.sin(aroundAngle);
@@ -467,7 +1415,75 @@ export class VRTorApp {
     return target.set(x, y, z);
   }
 
-  createStandardTorusWaypoints() {
+  /**
+   * Inverse of `computeTorusPoint`: reads torus coordinates from a point in
+   * world space. Returns null when the point lies outside the tube.
+   */
+  worldToTorusCoordinates(worldPoint, target = this.torusPinchCoords) {
+    if (!this.torusMesh || !worldPoint) {
+      return null;
+    }
+
+    const params = this.torusGeometryParams ?? this.torusMesh.geometry?.parameters ?? {};
+    const majorRadius = params.radius ?? DEFAULT_TORUS_RADIUS;
+    const tubeRadius = params.tube ?? THICK_TORUS_TUBE_RADIUS;
+    const local = this.torusMesh.worldToLocal(this.torusWorkVector.copy(worldPoint));
+
+    const radialOffset = Math.hypot(local.x, local.y) - majorRadius;
+    const radius = Math.hypot(radialOffset, local.z) / tubeRadius;
+    if (radius > TORUS_PINCH_TOLERANCE) {
+      return null;
+    }
+
+    target.around = Math.atan2(local.y, local.x);
+    target.tube = Math.atan2(local.z, radialOffset);
+    target.radius = Math.min(1, radius);
+    return target;
+  }
+
+  /**
+   * Plays the PCD under a pinch as Shepard tones. The synth runs in its own
+   * AudioContext, but the microphone can still pick it up from the speakers,
+   * so live analysis is held while it sounds (see `holdAnalysisForSynth`).
+   */
+  sonifyTorusPinch(label, position) {
+    const coords = this.worldToTorusCoordinates(position);
+    if (!coords) {
+      if (this.sonifyingHand === label) {
+        this.sonifyingHand = null;
+        this.shepardSynth.noteOff();
+      }
+      return;
+    }
+
+    const pcd = torusToPcd(coords, this.torusMapping);
+    if (this.sonifyingHand === label) {
+      this.shepardSynth.setPcd(pcd);
+      return;
+    }
+
+    this.sonifyingHand = label;
+    this.shepardSynth.noteOn(pcd).catch((error) => {
+      this.sonifyingHand = null;
+      this.recordSystemMessage(`Torus sonification failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Switches the DFT coefficients that drive the torus and re-places the
+   * waypoints to match.
+   * @param {object | string} mapping - Preset id or `{ aroundK, tubeK, radiusK }`.
+   */
+  setTorusMapping(mapping) {
+    this.torusMapping = resolveTorusMapping(mapping);
+    // Segment coordinates depend on the mapping; describe them again.
+    this.describedSegmentsSource = null;
+    this.createTorusWaypoints();
+    this.updateTorusAudioMapping(this.audioLevels);
+    this.torusPanel?.updateOverlayEntry('torusMapping', { value: this.torusMapping.label });
+  }
+
+  createTorusWaypoints() {
     if (!this.torusDataGroup) {
       return;
     }
@@ -490,10 +1506,10 @@ export class VRTorApp {
     this.torusWaypointsGroup.renderOrder = 11;
     this.torusDataGroup.add(this.torusWaypointsGroup);
 
-    STANDARD_NOTE_WAYPOINTS.forEach((waypoint) => {
-      const { label, pha5, pha3, mag3 = 1 } = waypoint;
+    computeWaypointCoordinates(this.torusMapping).forEach((waypoint) => {
+      const { label, around, tube, radius } = waypoint;
 
-      const hue = THREE.MathUtils.euclideanModulo((pha5 / (Math.PI * 2)) + 1, 1);
+      const hue = THREE.MathUtils.euclideanModulo((around / (Math.PI * 2)) + 1, 1);
       const markerGeometry = new THREE.TetrahedronGeometry(0.05);
       const markerMaterial = new THREE.MeshStandardMaterial({
         color: new THREE.Color().setHSL(hue, 0.68, 0.62),
@@ -509,12 +1525,14 @@ export class VRTorApp {
       marker.receiveShadow = false;
       marker.renderOrder = 12;
       marker.userData.waypoint = waypoint;
-      this.computeTorusPoint(pha5, pha3, mag3, this.torusWorkVector);
+      this.computeTorusPoint(around, tube, radius, this.torusWorkVector);
       marker.position.copy(this.torusWorkVector);
 
+      // Merged waypoints (e.g. "C/F#") need a smaller font to fit the sprite.
+      const merged = label.length > 2;
       const labelSprite = createLabelSprite(label, {
-        width: 0.22,
-        fontSize: 180,
+        width: merged ? 0.34 : 0.22,
+        fontSize: merged ? 96 : 180,
         color: '#f3f7ff',
         strokeStyle: 'rgba(0, 0, 0, 0.65)',
         renderOrder: 18,
@@ -522,50 +1540,147 @@ export class VRTorApp {
       });
       labelSprite.material.depthTest = false;
       labelSprite.material.depthWrite = false;
-      const labelMag = Math.min(mag3 + 0.32, 1.15);
-      this.computeTorusPoint(pha5, pha3, labelMag, labelSprite.position);
+      const labelMag = Math.min(radius + 0.32, 1.15);
+      this.computeTorusPoint(around, tube, labelMag, labelSprite.position);
 
       this.torusWaypointsGroup.add(marker);
       this.torusWaypointsGroup.add(labelSprite);
     });
   }
 
-  updateTorusAudioMapping(audioLevels = {}) {
+  /** Input rms below which the torus marker is hidden. */
+  getMarkerMinRms() {
+    return this.audioMonitor?.options?.pcd?.minRms ?? 0.0025;
+  }
+
+  updateTorusAudioMapping(audioLevels = {}, delta = 0) {
     if (!this.torusAudioMarker || !this.torusMesh) {
       return;
     }
 
-    const minRms = this.audioMonitor?.options?.pcd?.minRms ?? 0.0025;
+    // Onsets swell the marker, beats flash its glow; both decay within ~0.2 s.
+    const decay = Math.exp(-delta / 0.12);
+    this.torusOnsetPulse *= decay;
+    this.torusBeatPulse *= decay;
+    this.torusAudioMarker.scale.setScalar(1 + 0.6 * this.torusOnsetPulse);
+    this.torusAudioMarker.material.emissiveIntensity = 0.6 + 1.8 * this.torusBeatPulse;
+
+    const minRms = this.getMarkerMinRms();
     const rms = audioLevels.rms ?? 0;
     const dft = audioLevels.dft ?? null;
+    // Held MIDI notes and sounding score frames show the marker even while
+    // the microphone is quiet.
+    const sounding = rms >= minRms || (audioLevels.midiLevel ?? 0) > 0 || audioLevels.sounding === true;
 
-    if (!dft || rms < minRms) {
-      this.torusAudioMarker.visible = false;
+    if (!dft || !sounding) {
+      this.hideTorusAudioMarker();
       return;
     }
 
-    const amplitudes = dft.amplitudes ?? [];
-    const phases = dft.phases ?? [];
-    const pha5 = phases[5];
-    const pha3 = phases[3];
-    let mag3 = amplitudes[3];
+    const coords = mapSpectrumToTorus(
+      dft.amplitudes ?? [],
+      dft.phases ?? [],
+      this.torusMapping,
+      this.torusMappingCoords
+    );
 
-    if (!Number.isFinite(pha5) || !Number.isFinite(pha3) || !Number.isFinite(mag3)) {
-      this.torusAudioMarker.visible = false;
+    if (!Number.isFinite(coords.around) || !Number.isFinite(coords.tube) || !Number.isFinite(coords.radius)) {
+      this.hideTorusAudioMarker();
       return;
     }
 
-    mag3 = THREE.MathUtils.clamp(mag3, 0, 1);
+    const around = this.torusFilters.around.filter(coords.around, delta);
+    const tube = this.torusFilters.tube.filter(coords.tube, delta);
+    const radius = this.torusFilters.radius.filter(coords.radius, delta);
 
-    const position = this.computeTorusPoint(pha5, pha3, mag3);
+    const position = this.computeTorusPoint(around, tube, THREE.MathUtils.clamp(radius, 0, 1));
     this.torusAudioMarker.position.copy(position);
 
-    const hue = THREE.MathUtils.euclideanModulo((pha5 / (Math.PI * 2)) + 0.5, 1);
+    const hue = THREE.MathUtils.euclideanModulo((around / (Math.PI * 2)) + 0.5, 1);
     this.torusAudioColor.setHSL(hue, 0.78, 0.62);
     this.torusAudioMarker.material.color.copy(this.torusAudioColor);
     this.torusAudioEmissive.setHSL(hue, 0.5, 0.25);
     this.torusAudioMarker.material.emissive.copy(this.torusAudioEmissive);
     this.torusAudioMarker.visible = true;
+    this.updateTorusChordLabel(audioLevels.chord ?? null);
+  }
+
+  /**
+   * Segment entry for the progression panel: chord label and the torus
+   * coordinates of the segment's averaged PCD under the current mapping.
+   */
+  describeSegment(segment) {
+    const { amplitudes, phases } = segment.dft;
+    return {
+      label: segment.chord?.label ?? '—',
+      start: segment.start,
+      duration: segment.duration,
+      coords: mapSpectrumToTorus(amplitudes, phases, this.torusMapping, {})
+    };
+  }
+
+  /** Closes the open segment so it does not run on into a different PCD source. */
+  endHarmonicSegment() {
+    // Read the property: getElapsedTime() would advance the clock's delta.
+    this.harmonicSegmenter.flush(this.clock.elapsedTime);
+  }
+
+  updateHarmonicSegments(audioLevels, elapsed) {
+    const segmenter = this.harmonicSegmenter;
+    segmenter.push(audioLevels.pcd, elapsed, audioLevels.level);
+    if (!this.progressionPanel) return;
+    // Finished segments are described once; only the open one changes per frame.
+    if (this.describedSegmentsSource !== segmenter.segments[segmenter.segments.length - 1]) {
+      this.describedSegmentsSource = segmenter.segments[segmenter.segments.length - 1];
+      this.describedSegments = segmenter.segments.map((segment) => this.describeSegment(segment));
+    }
+    const current = segmenter.getCurrentSegment();
+    this.progressionPanel.setSegments(
+      this.describedSegments,
+      current ? this.describeSegment(current) : null,
+      elapsed
+    );
+  }
+
+  /** Hides the marker and forgets its filter state so it reappears in place. */
+  hideTorusAudioMarker() {
+    this.torusAudioMarker.visible = false;
+    this.torusFilters.around.reset();
+    this.torusFilters.tube.reset();
+    this.torusFilters.radius.reset();
+  }
+
+  updateTorusChordLabel(chord) {
+    const text = chord?.label ?? null;
+    if (text === this.torusChordText) {
+      return;
+    }
+    this.torusChordText = text;
+
+    if (this.torusChordLabel) {
+      this.torusAudioMarker.remove(this.torusChordLabel);
+      this.torusChordLabel.userData.texture?.dispose();
+      this.torusChordLabel.material.dispose();
+      this.torusChordLabel = null;
+    }
+    if (!text) {
+      return;
+    }
+
+    const label = createLabelSprite(text, {
+      width: 0.24,
+      fontSize: 170,
+      color: '#ffe6b0',
+      strokeStyle: 'rgba(0, 0, 0, 0.65)',
+      renderOrder: 19,
+      depthTest: false
+    });
+    label.material.depthTest = false;
+    label.material.depthWrite = false;
+    // The torus mesh is rotated so local -z points up in world space.
+    label.position.set(0, 0, -0.1);
+    this.torusAudioMarker.add(label);
+    this.torusChordLabel = label;
   }
 
   setTorusMovable(enabled) {
@@ -622,7 +1737,16 @@ export class VRTorApp {
     const toggleResult = controlResults.toggle ?? null;
 
     const torusPanelStatus = this.torusPanel.update(leftState, rightState, delta);
+    const audioPanelStatus = this.audioPanel.update(leftState, rightState, delta);
+    const analysisPanelStatus = this.analysisPanel.update(leftState, rightState, delta);
+    const midiPanelStatus = this.midiPanel.update(leftState, rightState, delta);
+    const scorePanelStatus = this.scorePanel.update(leftState, rightState, delta);
+    const replayPanelStatus = this.replayPanel.update(leftState, rightState, delta);
     const soundPanelStatus = this.soundPanel ? this.soundPanel.update(leftState, rightState) : null;
+    const chromagramPanelStatus = this.chromagramPanel?.update(leftState, rightState) ?? null;
+    const tonalQualityPanelStatus = this.tonalQualityPanel?.update(leftState, rightState) ?? null;
+    const pitchContourPanelStatus = this.pitchContourPanel?.update(leftState, rightState) ?? null;
+    const progressionPanelStatus = this.progressionPanel?.update(leftState, rightState) ?? null;
 
     let torusInteraction = null;
     if (this.torusController) {
@@ -642,7 +1766,31 @@ export class VRTorApp {
         phases: new Float32Array(7)
       }
     };
-    if (this.audioMonitor) {
+    if (this.scorePlayer) {
+      const player = this.scorePlayer;
+      const wasPlaying = player.playing;
+      audioLevels = player.update(delta);
+      this.audioLevels = audioLevels;
+      this.sessionRecorder.record(audioLevels);
+      this.soundPanel?.updateMeter(audioLevels);
+      this.updateTorusAudioMapping(audioLevels, delta);
+      if (wasPlaying && !player.playing) {
+        this.scorePlayControl?.setToggled(false);
+      }
+      const measure = player.getMeasure();
+      this.scorePanel.updateOverlayEntry('scorePlay', {
+        valueLabel: `Measure ${measure.number} (${measure.index + 1}/${measure.count})`
+      });
+    } else if (this.sessionReplay) {
+      audioLevels = this.sessionReplay.update(delta);
+      this.audioLevels = audioLevels;
+      this.sessionRecorder.record(audioLevels);
+      this.soundPanel?.updateMeter(audioLevels);
+      this.updateTorusAudioMapping(audioLevels, delta);
+      if (!this.sessionReplay.playing) {
+        this.stopReplay();
+      }
+    } else if (this.audioMonitor) {
       const monitorStatus = this.audioMonitor.getStatus();
       const errorMessage = this.audioMonitor.getErrorMessage();
       if (
@@ -651,21 +1799,19 @@ export class VRTorApp {
       ) {
         this.lastAudioMonitorStatus = monitorStatus;
         this.lastAudioErrorMessage = errorMessage;
-        if (monitorStatus === 'active') {
-          this.soundPanel?.setStatus('Microphone active');
-        } else if (monitorStatus === 'pending') {
-          this.soundPanel?.setStatus('Awaiting microphone permission…');
-        } else if (monitorStatus === 'error') {
-          const message = errorMessage ?? 'Unable to access microphone';
-          this.soundPanel?.setStatus(`Microphone error: ${message}`, { type: 'error' });
-        } else {
-          this.soundPanel?.setStatus('Microphone idle');
-        }
+        this.soundPanel?.setSource(this.audioMonitor.getSourceLabel());
+        this.soundPanel?.setStatus(this.audioMonitor.getStatusDescription(), {
+          type: monitorStatus === 'error' || monitorStatus === 'disconnected' ? 'error' : 'info'
+        });
       }
-      audioLevels = this.audioMonitor.update();
+      audioLevels = this.applyPcdInput(this.holdAnalysisForSynth(this.audioMonitor.update()));
       this.audioLevels = audioLevels;
+      if (this.midiStreamEnabled) {
+        this.midiOutput.updateStream(audioLevels.pcd, audioLevels.level);
+      }
+      this.sessionRecorder.record(audioLevels);
       this.soundPanel?.updateMeter(audioLevels);
-      this.updateTorusAudioMapping(audioLevels);
+      this.updateTorusAudioMapping(audioLevels, delta);
     } else if (this.soundPanel) {
       audioLevels = {
         level: 0,
@@ -678,9 +1824,14 @@ export class VRTorApp {
       };
       this.audioLevels = audioLevels;
       this.soundPanel.updateMeter(audioLevels);
-      this.updateTorusAudioMapping(audioLevels);
+      this.updateTorusAudioMapping(audioLevels, delta);
     }
 
+    this.chromagramPanel?.pushFrame(audioLevels, elapsed);
+    this.tonalQualityPanel?.pushFrame(audioLevels, elapsed);
+    this.pitchContourPanel?.pushFrame(audioLevels, elapsed);
+    this.updateHarmonicSegments(audioLevels, elapsed);
+
     const generalLines = [];
     const activePinches = Object.entries(this.pinchTelemetry).filter(([, data]) => data && data.position);
     if (activePinches.length > 0) {
@@ -697,18 +1848,60 @@ export class VRTorApp {
       `Single press ready: ${this.controlPanel.ready ? 'YES' : 'no'}`,
       `Toggle button: ${toggleResult?.toggled ? 'ON' : 'OFF'}`,
       `Torus mode: ${this.torusMovable ? 'movable torus' : 'locked torus'}`,
-      `Torus tube: ${this.torusThicknessMode === 'thick' ? 'thick' : 'thin'}`
+      `Torus tube: ${this.torusThicknessMode === 'thick' ? 'thick' : 'thin'}`,
+      `Torus mapping: ${this.torusMapping.label}`
     );
 
+    if (this.sessionReplay) {
+      const replay = this.sessionReplay;
+      generalLines.push(
+        `Replay: ${replay.label} ${replay.position.toFixed(1)}/${replay.getDuration().toFixed(1)}s ×${replay.speed}`
+      );
+    }
+    if (this.scorePlayer) {
+      const player = this.scorePlayer;
+      const measure = player.getMeasure();
+      generalLines.push(
+        `Score: ${player.label} m. ${measure.number} ${player.position.toFixed(1)}/${player.getDuration().toFixed(1)}s${player.playing ? '' : ' (paused)'}`
+      );
+    }
+    if (this.sessionRecorder.recording) {
+      generalLines.push(
+        `Recording: ${this.sessionRecorder.frames.length} frames (${this.sessionRecorder.getDuration().toFixed(1)}s)`
+      );
+    }
+    if (this.midiInput && this.pcdInputMode.id !== 'audio') {
+      generalLines.push(
+        `PCD input: ${this.pcdInputMode.label} (MIDI ${this.midiInput.getStatusDescription()}, ${this.midiInput.notes.size} notes)`
+      );
+    }
     if (this.audioMonitor) {
       const micPercent = Math.round(this.audioLevels.level * 100);
       generalLines.push(
-        `Microphone status: ${this.audioMonitor.getStatusDescription()}`,
-        `Microphone level: ${micPercent}% (RMS ${this.audioLevels.rms.toFixed(3)})`
+        `Audio source: ${this.audioMonitor.getSourceLabel()} (${this.audioMonitor.getStatusDescription()})`,
+        `Input level: ${micPercent}% (RMS ${this.audioLevels.rms.toFixed(3)})`
+      );
+      const loudness = this.audioLevels.loudness;
+      if (loudness) {
+        generalLines.push(
+          `Loudness: peak ${loudness.peakDb.toFixed(1)} dBFS (hold ${loudness.peakHoldDb.toFixed(1)}), RMS ${loudness.rmsDb.toFixed(1)} dBFS, ST ${loudness.shortTermLufs.toFixed(1)} LUFS, clips ${loudness.clipCount}`
+        );
+      }
+      const timing = this.audioMonitor.getAnalysisTiming();
+      generalLines.push(
+        `Analysis: ${timing.mode === 'worker' ? 'worker' : 'main thread'} ${timing.frameMs.toFixed(2)} ms/frame (avg ${timing.averageMs.toFixed(2)})`
+      );
+      const key = this.audioLevels.key;
+      const keyChange = this.lastKeyChange;
+      const keySince = keyChange ? ` since ${Math.round(elapsed - keyChange.time)}s` : '';
+      generalLines.push(
+        key
+          ? `Key: ${key.label} (r ${key.correlation.toFixed(2)}${keySince}${keyChange?.from ? `, was ${keyChange.from}` : ''})`
+          : 'Key: undetermined'
       );
     }
 
-    const pitchClasses = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const pitchClasses = PITCH_CLASS_NAMES;
     const pcdValues = this.audioLevels?.pcd;
     if (pcdValues?.length === pitchClasses.length) {
       let peakIndex = -1;
@@ -736,9 +1929,36 @@ export class VRTorApp {
     if (torusPanelStatus?.grabbing) {
       statusLines.push('Moving torus control panel…');
     }
+    if (audioPanelStatus?.grabbing) {
+      statusLines.push('Moving audio control panel…');
+    }
+    if (analysisPanelStatus?.grabbing) {
+      statusLines.push('Moving analysis control panel…');
+    }
+    if (midiPanelStatus?.grabbing) {
+      statusLines.push('Moving MIDI control panel…');
+    }
+    if (scorePanelStatus?.grabbing) {
+      statusLines.push('Moving score control panel…');
+    }
+    if (replayPanelStatus?.grabbing) {
+      statusLines.push('Moving replay control panel…');
+    }
     if (soundPanelStatus?.grabbing) {
       statusLines.push('Moving sound panel…');
     }
+    if (chromagramPanelStatus?.grabbing) {
+      statusLines.push('Moving chromagram panel…');
+    }
+    if (tonalQualityPanelStatus?.grabbing) {
+      statusLines.push('Moving tonal quality panel…');
+    }
+    if (pitchContourPanelStatus?.grabbing) {
+      statusLines.push('Moving pitch contour panel…');
+    }
+    if (progressionPanelStatus?.grabbing) {
+      statusLines.push('Moving progression panel…');
+    }
     if (this.torusMovable && torusInteraction?.grabbing) {
       statusLines.push('Manipulating torus…', `Scale ×${this.torusGroup.scale.x.toFixed(2)}`);
     }
@@ -0,0 +1,122 @@
+import { pcdToFrequencyDomain, reconstructPcd } from '../audio/pcdDft.js';
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Which DFT coefficients drive the torus: the phase of `aroundK` is the angle
+ * around the ring, the phase of `tubeK` the angle around the tube, and the
+ * magnitude of `radiusK` the distance from the tube centre.
+ */
+export const TORUS_MAPPING_PRESETS = [
+  { id: 'k5-k3', label: 'φ5 / φ3 · |3|', aroundK: 5, tubeK: 3, radiusK: 3 },
+  { id: 'k5-k3-r5', label: 'φ5 / φ3 · |5|', aroundK: 5, tubeK: 3, radiusK: 5 },
+  { id: 'k1-k5', label: 'φ1 / φ5 · |5|', aroundK: 1, tubeK: 5, radiusK: 5 },
+  { id: 'k2-k4', label: 'φ2 / φ4 · |4|', aroundK: 2, tubeK: 4, radiusK: 4 },
+  { id: 'k3-k6', label: 'φ3 / φ6 · |3|', aroundK: 3, tubeK: 6, radiusK: 3 }
+];
+
+export const DEFAULT_TORUS_MAPPING = TORUS_MAPPING_PRESETS[0];
+
+/** One-hot PCD templates for the twelve note waypoints. */
+export const NOTE_WAYPOINT_TEMPLATES = PITCH_CLASS_NAMES.map((label, index) => {
+  const pcd = new Float32Array(12);
+  pcd[index] = 1;
+  return { label, pcd };
+});
+
+function sanitizeCoefficient(value, fallback) {
+  return Number.isInteger(value) && value >= 0 && value <= 6 ? value : fallback;
+}
+
+/**
+ * @param {object | string} config - A preset id or `{ aroundK, tubeK, radiusK, label? }`.
+ * @returns {{ id: string, label: string, aroundK: number, tubeK: number, radiusK: number }}
+ */
+export function resolveTorusMapping(config) {
+  if (typeof config === 'string') {
+    return TORUS_MAPPING_PRESETS.find((preset) => preset.id === config) ?? DEFAULT_TORUS_MAPPING;
+  }
+  const aroundK = sanitizeCoefficient(config?.aroundK, DEFAULT_TORUS_MAPPING.aroundK);
+  const tubeK = sanitizeCoefficient(config?.tubeK, DEFAULT_TORUS_MAPPING.tubeK);
+  const radiusK = sanitizeCoefficient(config?.radiusK, DEFAULT_TORUS_MAPPING.radiusK);
+  return {
+    id: config?.id ?? `k${aroundK}-k${tubeK}-r${radiusK}`,
+    label: config?.label ?? `φ${aroundK} / φ${tubeK} · |${radiusK}|`,
+    aroundK,
+    tubeK,
+    radiusK
+  };
+}
+
+/**
+ * Picks the torus coordinates for one DFT frame.
+ * @returns {{ around: number, tube: number, radius: number }}
+ */
+export function mapSpectrumToTorus(amplitudes, phases, mapping, target = {}) {
+  target.around = phases[mapping.aroundK];
+  target.tube = phases[mapping.tubeK];
+  target.radius = amplitudes[mapping.radiusK];
+  return target;
+}
+
+/**
+ * Inverse of `mapSpectrumToTorus`: builds the PCD whose mapped coefficients
+ * sit at the given torus coordinates. Only k = 0 and the two phase
+ * coefficients are known, so both get `radius` as their magnitude and every
+ * other coefficient is left out.
+ * @param {{ around: number, tube: number, radius: number }} coords
+ * @param {object} mapping
+ * @returns {Float32Array} 12 pitch-class weights summing to 1.
+ */
+export function torusToPcd({ around, tube, radius }, mapping) {
+  const amplitudes = new Float32Array(7);
+  const phases = new Float32Array(7);
+  const magnitude = Math.min(1, Math.max(0, radius));
+  amplitudes[0] = 1;
+  amplitudes[mapping.aroundK] = magnitude;
+  amplitudes[mapping.tubeK] = magnitude;
+  phases[mapping.aroundK] = around;
+  phases[mapping.tubeK] = tube;
+  return reconstructPcd(amplitudes, phases, {
+    coefficients: [0, mapping.aroundK, mapping.tubeK],
+    clampNegative: true,
+    normalize: true
+  });
+}
+
+/**
+ * Places waypoint templates under a mapping. Templates that land on the same
+ * spot (e.g. tritone pairs under φ2/φ4) are merged into one waypoint whose
+ * label lists every template and whose `pitchClasses` are the union of
+ * theirs (the classes each template gives weight to).
+ * @param {object} mapping
+ * @param {Array<{ label: string, pcd: ArrayLike<number> }>} [templates]
+ * @returns {Array<{ label: string, pitchClasses: number[], around: number, tube: number, radius: number }>}
+ */
+export function computeWaypointCoordinates(mapping, templates = NOTE_WAYPOINT_TEMPLATES) {
+  const waypoints = [];
+  templates.forEach(({ label, pcd }) => {
+    const { amplitudes, phases } = pcdToFrequencyDomain(pcd);
+    const coords = mapSpectrumToTorus(amplitudes, phases, mapping);
+    const pitchClasses = [];
+    for (let i = 0; i < 12; i += 1) {
+      if (pcd[i] > 0) pitchClasses.push(i);
+    }
+    const existing = waypoints.find((waypoint) => (
+      Math.abs(Math.cos(waypoint.around) - Math.cos(coords.around)) < 1e-3 &&
+      Math.abs(Math.sin(waypoint.around) - Math.sin(coords.around)) < 1e-3 &&
+      Math.abs(Math.cos(waypoint.tube) - Math.cos(coords.tube)) < 1e-3 &&
+      Math.abs(Math.sin(waypoint.tube) - Math.sin(coords.tube)) < 1e-3 &&
+      Math.abs(waypoint.radius - coords.radius) < 1e-3
+    ));
+    if (existing) {
+      existing.label = `${existing.label}/${label}`;
+      pitchClasses.forEach((pitchClass) => {
+        if (!existing.pitchClasses.includes(pitchClass)) existing.pitchClasses.push(pitchClass);
+      });
+    } else {
+      waypoints.push({ label, pitchClasses, ...coords });
+    }
+  });
+  return waypoints;
+}
@@ -0,0 +1,585 @@
+import { PitchClassComputer } from './PitchClassComputer.js';
+import { RealFFT } from './RealFFT.js';
+import { hannWindow } from './windowing.js';
+import { pcdToFrequencyDomain } from './pcdDft.js';
+import { estimatePrimary, frequencyToNote } from './primaryDetection.js';
+import { ChordRecognizer } from './ChordRecognizer.js';
+import { KeyEstimator } from './KeyEstimator.js';
+import { ConstantQChromaComputer } from './ConstantQChromaComputer.js';
+import { ReferencePitchEstimator } from './ReferencePitchEstimator.js';
+import { OnsetDetector } from './OnsetDetector.js';
+import { TempoTracker } from './TempoTracker.js';
+import { NoiseProfile } from './NoiseProfile.js';
+import { LoudnessMeter } from './LoudnessMeter.js';
+import { PitchTracker } from './PitchTracker.js';
+import { ArrayFilter, createFilter, normalizeFilterConfig } from '../utils/smoothing.js';
+
+const DEFAULT_PCD_OPTIONS = {
+  minHz: 50,
+  maxHz: 5000,
+  pcdThreshold: 0.005,
+  pcdNormalize: 1.0,
+  refA4: 440,
+  minRms: 0.001,
+  // 'bins' (nearest-semitone binning) or 'hpcp' (peak-based, harmonic-weighted).
+  mode: 'bins',
+  hpcpHarmonics: 4,
+  hpcpHarmonicDecay: 0.6,
+  hpcpWindow: 4 / 3
+};
+
+const DEFAULT_TUNER_OPTIONS = {
+  enabled: true,
+  minHz: 70,
+  maxHz: 1800,
+  minProminence: 6.0,
+  minRMS: 0.003
+};
+
+const DEFAULT_REFERENCE_OPTIONS = {
+  // 'off', 'propose' (estimate only) or 'auto' (apply confident estimates to refA4).
+  mode: 'propose',
+  minConfidence: 0.6,
+  toleranceCents: 1.5
+};
+
+const DEFAULT_WINDOW_SIZE = 16384;
+const DEFAULT_HOP_SIZE = 1024;
+// Time constants in seconds; 45 ms matches the former per-hop factor of 0.6
+// at the default hop (1024 samples at 44.1 kHz).
+const DEFAULT_SMOOTHING = {
+  level: { type: 'ema', timeConstant: 0.045 },
+  pcd: { type: 'ema', timeConstant: 0.045 }
+};
+const LEGACY_SMOOTHING_HOP = DEFAULT_HOP_SIZE / 44100;
+
+const MIN_WINDOW_SIZE = 32;
+const MAX_WINDOW_SIZE = 32768;
+
+function sanitizeWindowSize(value) {
+  if (!Number.isFinite(value)) {
+    return DEFAULT_WINDOW_SIZE;
+  }
+  const clamped = Math.min(MAX_WINDOW_SIZE, Math.max(MIN_WINDOW_SIZE, Math.floor(value)));
+  const exponent = Math.round(Math.log2(clamped));
+  const size = 2 ** Math.min(Math.max(exponent, 5), 15);
+  return Math.min(MAX_WINDOW_SIZE, Math.max(MIN_WINDOW_SIZE, size));
+}
+
+function sanitizeHopSize(value, windowSize) {
+  if (!Number.isFinite(value)) {
+    return Math.min(DEFAULT_HOP_SIZE, windowSize);
+  }
+  return Math.min(windowSize, Math.max(1, Math.floor(value)));
+}
+
+export function normalizePcdOptions(options) {
+  const normalized = { ...DEFAULT_PCD_OPTIONS, ...(options || {}) };
+  normalized.minHz = Math.max(0, normalized.minHz);
+  normalized.maxHz = Math.max(normalized.minHz + 1, normalized.maxHz);
+  normalized.pcdThreshold = Math.max(0, normalized.pcdThreshold);
+  normalized.pcdNormalize = Math.max(0.1, normalized.pcdNormalize);
+  normalized.refA4 = Math.max(1, normalized.refA4);
+  normalized.minRms = Math.max(0, normalized.minRms);
+  normalized.mode = normalized.mode === 'hpcp' ? 'hpcp' : 'bins';
+  normalized.hpcpHarmonics = Math.max(1, Math.floor(normalized.hpcpHarmonics));
+  normalized.hpcpHarmonicDecay = Math.min(1, Math.max(0, normalized.hpcpHarmonicDecay));
+  normalized.hpcpWindow = Math.max(0.5, normalized.hpcpWindow);
+  return normalized;
+}
+
+export function normalizeTunerOptions(options) {
+  const normalized = { ...DEFAULT_TUNER_OPTIONS, ...(options || {}) };
+  normalized.enabled = Boolean(normalized.enabled);
+  normalized.minHz = Math.max(1, normalized.minHz);
+  normalized.maxHz = Math.max(normalized.minHz + 1, normalized.maxHz);
+  normalized.minProminence = Math.max(0, normalized.minProminence);
+  normalized.minRMS = Math.max(0, normalized.minRMS);
+  return normalized;
+}
+
+/**
+ * Accepts `{ level, pcd }` filter configs (see utils/smoothing.js) or the
+ * former per-hop EMA factor (0…0.99), converted to the time constant it had
+ * at the default hop.
+ */
+function normalizeSmoothingOptions(smoothing) {
+  if (Number.isFinite(smoothing)) {
+    const factor = Math.min(0.99, Math.max(0, smoothing));
+    const legacy = factor === 0
+      ? { type: 'none' }
+      : { type: 'ema', timeConstant: -LEGACY_SMOOTHING_HOP / Math.log(factor) };
+    return { level: normalizeFilterConfig(legacy), pcd: normalizeFilterConfig(legacy) };
+  }
+  return {
+    level: normalizeFilterConfig(smoothing?.level, DEFAULT_SMOOTHING.level),
+    pcd: normalizeFilterConfig(smoothing?.pcd, DEFAULT_SMOOTHING.pcd)
+  };
+}
+
+function normalizeReferenceOptions(options) {
+  const normalized = { ...DEFAULT_REFERENCE_OPTIONS, ...(options || {}) };
+  normalized.mode = ['off', 'propose', 'auto'].includes(normalized.mode) ? normalized.mode : 'propose';
+  normalized.minConfidence = Math.min(1, Math.max(0, normalized.minConfidence));
+  normalized.toleranceCents = Math.max(0, normalized.toleranceCents);
+  return normalized;
+}
+
+
+/**
+ * Normalises the analysis part of the `AudioVolumeMonitor` options.
+ * The result is plain data, so it can be posted to the analysis worker.
+ */
+export function normalizeAnalysisOptions({
+  windowSize,
+  fftSize = DEFAULT_WINDOW_SIZE,
+  hopSize = DEFAULT_HOP_SIZE,
+  smoothing = DEFAULT_SMOOTHING,
+  normalization = 4,
+  pcdOptions = {},
+  tuner = {},
+  chroma = 'fft',
+  reference = {},
+  rhythm = {},
+  pitch = {}
+} = {}) {
+  const sanitizedWindowSize = sanitizeWindowSize(windowSize ?? fftSize);
+  return {
+    windowSize: sanitizedWindowSize,
+    hopSize: sanitizeHopSize(hopSize, sanitizedWindowSize),
+    smoothing: normalizeSmoothingOptions(smoothing),
+    normalization: normalization > 0 ? normalization : 4,
+    pcd: normalizePcdOptions(pcdOptions),
+    tuner: normalizeTunerOptions(tuner),
+    // 'fft' maps linear FFT bins (PitchClassComputer); 'constantQ' uses
+    // log-frequency kernels on the unwindowed frame.
+    chroma: chroma === 'constantQ' ? 'constantQ' : 'fft',
+    reference: normalizeReferenceOptions(reference),
+    rhythm: { enabled: rhythm.enabled ?? true },
+    pitch: { enabled: pitch.enabled ?? true }
+  };
+}
+
+/**
+ * The analysis half of `AudioVolumeMonitor`: assembles incoming samples into
+ * a ring buffer and analyses a Hann-windowed frame every `hopSize` samples
+ * (level, PCD, DFT, tuner, monophonic pitch, chord, key, reference pitch,
+ * rhythm, noise).
+ * The loudness meter sees every sample rather than whole frames.
+ *
+ * It has no DOM or Web Audio dependencies, so the same code runs on the main
+ * thread or inside `analysisWorker.js`. Events (`keychange`, `onset`, `beat`,
+ * `noisecalibrated`) are passed to `onEvent(name, payload)`.
+ */
+export class AnalysisEngine {
+  /**
+   * @param {object} config - `AudioVolumeMonitor` constructor options.
+   * @param {{ onEvent?: (event: string, payload: object) => void }} [hooks]
+   */
+  constructor(config = {}, { onEvent = null } = {}) {
+    this.options = normalizeAnalysisOptions(config);
+    this.onEvent = onEvent;
+    this.sampleRate = 44100;
+
+    this.fft = new RealFFT();
+    this.windowFn = hannWindow(this.options.windowSize);
+    this.ringBuffer = new Float32Array(this.options.windowSize);
+    this.analysisBuffer = new Float32Array(this.options.windowSize);
+    this.magnitudeData = new Float32Array(this.options.windowSize / 2);
+    this.cleanMagnitudes = new Float32Array(this.options.windowSize / 2);
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.hopCounter = 0;
+
+    this.pitchComputer = new PitchClassComputer();
+    this.constantQComputer = this.options.chroma === 'constantQ'
+      ? new ConstantQChromaComputer(config.constantQ)
+      : null;
+    this.frameBuffer = this.constantQComputer ? new Float32Array(this.options.windowSize) : null;
+    this.level = 0;
+    this.rms = 0;
+    this.pcdValues = new Float32Array(12);
+    this.rawPcdValues = new Float32Array(12);
+    this.dftAmplitudes = new Float32Array(7);
+    this.dftPhases = new Float32Array(7);
+    this.primary = null;
+    this.chordRecognizer = new ChordRecognizer(config.chordOptions);
+    this.chord = null;
+    this.keyEstimator = new KeyEstimator(config.keyOptions);
+    this.key = null;
+    this.referenceEstimator = new ReferencePitchEstimator(config.reference);
+    this.referenceLocked = false;
+    this.onsetDetector = new OnsetDetector(config.rhythm?.onset);
+    this.tempoTracker = new TempoTracker(config.rhythm?.tempo);
+    this.streamTime = 0;
+    this.lastOnset = null;
+    this.lastBeat = null;
+    this.frameIndex = 0;
+    this.noiseProfile = new NoiseProfile(config.noise);
+    this.loudnessMeter = new LoudnessMeter({ ...config.loudness, sampleRate: this.sampleRate });
+    this.pitchTracker = new PitchTracker(config.pitch);
+    this.pitchFrame = new Float32Array(0);
+    this.pitch = null;
+    this.levelFilter = createFilter(this.options.smoothing.level);
+    this.rmsFilter = createFilter(this.options.smoothing.level);
+    this.pcdFilter = new ArrayFilter(this.options.smoothing.pcd, 12);
+    this.timing = { frameMs: 0, averageMs: 0 };
+  }
+
+  fire(event, payload) {
+    this.onEvent?.(event, payload);
+  }
+
+  setSampleRate(sampleRate) {
+    if (sampleRate > 0 && sampleRate !== this.sampleRate) {
+      this.sampleRate = sampleRate;
+      this.loudnessMeter.setSampleRate(sampleRate);
+    }
+  }
+
+  reset() {
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.hopCounter = 0;
+    this.ringBuffer.fill(0);
+    this.analysisBuffer.fill(0);
+    this.frameBuffer?.fill(0);
+    this.magnitudeData.fill(0);
+    this.pcdValues.fill(0);
+    this.rawPcdValues.fill(0);
+    this.dftAmplitudes.fill(0);
+    this.dftPhases.fill(0);
+    this.primary = null;
+    this.pitch = null;
+    this.chord = null;
+    this.keyEstimator.reset();
+    this.key = null;
+    this.referenceEstimator.reset();
+    this.onsetDetector.reset();
+    this.tempoTracker.reset();
+    this.streamTime = 0;
+    this.lastOnset = null;
+    this.lastBeat = null;
+    this.level = 0;
+    this.rms = 0;
+    this.levelFilter.reset();
+    this.rmsFilter.reset();
+    this.pcdFilter.reset();
+    this.loudnessMeter.reset();
+    // Building constant-Q kernels stalls for a moment: do it as the stream
+    // starts rather than on its first hop.
+    this.constantQComputer?.prepare(this.options.windowSize, this.sampleRate);
+  }
+
+  /**
+   * Replaces the level and/or PCD smoothing filter; see utils/smoothing.js
+   * for the config format. Filter state starts afresh.
+   * @param {{ level?: object | string, pcd?: object | string }} smoothing
+   */
+  setSmoothing({ level, pcd } = {}) {
+    if (level !== undefined) {
+      this.options.smoothing.level = normalizeFilterConfig(level, DEFAULT_SMOOTHING.level);
+      this.levelFilter = createFilter(this.options.smoothing.level);
+      this.rmsFilter = createFilter(this.options.smoothing.level);
+    }
+    if (pcd !== undefined) {
+      this.options.smoothing.pcd = normalizeFilterConfig(pcd, DEFAULT_SMOOTHING.pcd);
+      this.pcdFilter = new ArrayFilter(this.options.smoothing.pcd, 12);
+    }
+  }
+
+  /**
+   * Meters the samples, appends them to the ring buffer and analyses a frame
+   * for every completed hop.
+   * @param {Float32Array} samples
+   * @returns {number} Number of frames analysed.
+   */
+  pushSamples(samples) {
+    const { windowSize, hopSize } = this.options;
+    this.loudnessMeter.process(samples);
+    let frames = 0;
+    for (let i = 0; i < samples.length; i += 1) {
+      this.ringBuffer[this.writeIndex] = samples[i];
+      this.writeIndex += 1;
+      if (this.writeIndex >= windowSize) this.writeIndex = 0;
+      if (this.filled < windowSize) this.filled += 1;
+      this.hopCounter += 1;
+      if (this.hopCounter >= hopSize && this.filled >= windowSize) {
+        this.hopCounter = 0;
+        this.processFrame();
+        frames += 1;
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * Analyses the current ring buffer contents and records how long it took
+   * in `timing` (last frame and a running average, in milliseconds).
+   */
+  processFrame() {
+    const started = performance.now();
+    this.analyseFrame();
+    const elapsed = performance.now() - started;
+    this.timing.frameMs = elapsed;
+    this.timing.averageMs = this.timing.averageMs === 0
+      ? elapsed
+      : this.timing.averageMs + 0.05 * (elapsed - this.timing.averageMs);
+  }
+
+  analyseFrame() {
+    const { windowSize } = this.options;
+    const start = this.writeIndex;
+    const head = this.ringBuffer.subarray(start);
+    this.analysisBuffer.set(head, 0);
+    if (start > 0) {
+      this.analysisBuffer.set(this.ringBuffer.subarray(0, start), head.length);
+    }
+    if (this.frameBuffer) {
+      this.frameBuffer.set(this.analysisBuffer);
+    }
+    const pitchEnabled = this.options.pitch.enabled;
+    if (pitchEnabled) {
+      // Newest samples only; YIN needs a few periods, not the whole FFT window.
+      const length = Math.min(windowSize, this.pitchTracker.getFrameLength(this.sampleRate));
+      if (this.pitchFrame.length !== length) {
+        this.pitchFrame = new Float32Array(length);
+      }
+      this.pitchFrame.set(this.analysisBuffer.subarray(windowSize - length));
+    }
+
+    let sumSquares = 0;
+    for (let i = 0; i < windowSize; i += 1) {
+      const sample = this.analysisBuffer[i];
+      sumSquares += sample * sample;
+      this.analysisBuffer[i] = sample * this.windowFn[i];
+    }
+
+    const rms = Math.sqrt(sumSquares / windowSize);
+    const normalized = Math.min(1, rms * this.options.normalization);
+    const hopDuration = this.options.hopSize / this.sampleRate;
+
+    this.level = this.levelFilter.filter(normalized, hopDuration);
+    this.rms = this.rmsFilter.filter(rms, hopDuration);
+
+    const pcdOptions = this.options.pcd;
+    const tuner = this.options.tuner;
+    const pcdGate = this.rms >= pcdOptions.minRms;
+    const tunerGate = tuner.enabled && rms >= tuner.minRMS;
+    const referenceGate = pcdGate && this.options.reference.mode !== 'off';
+    const rhythmEnabled = this.options.rhythm.enabled;
+    const noiseGate = this.noiseProfile.needsSpectrum();
+    if (
+      tunerGate ||
+      referenceGate ||
+      noiseGate ||
+      (pcdGate && (rhythmEnabled || !this.constantQComputer))
+    ) {
+      // Scale by 1/N so magnitudes (and pcdThreshold) match the AnalyserNode convention.
+      const spectrum = this.fft.transform(this.analysisBuffer);
+      const inv = 1 / windowSize;
+      for (let i = 0; i < this.magnitudeData.length; i += 1) {
+        this.magnitudeData[i] = spectrum[i] * inv;
+      }
+    }
+
+    this.streamTime += hopDuration;
+    this.frameIndex += 1;
+    if (noiseGate && this.noiseProfile.observe(this.magnitudeData, hopDuration)) {
+      this.fire('noisecalibrated', { seconds: this.noiseProfile.calibrationSeconds });
+    }
+    if (referenceGate) {
+      this.updateReference(hopDuration);
+    }
+    if (rhythmEnabled) {
+      this.updateRhythm(pcdGate ? this.magnitudeData : null, hopDuration);
+    }
+
+    let rawPcd;
+    if (!pcdGate) {
+      rawPcd = this.pitchComputer.getSilentOutput();
+    } else if (this.constantQComputer) {
+      rawPcd = this.constantQComputer.compute(this.frameBuffer, this.sampleRate, pcdOptions);
+    } else {
+      // Noise subtraction only feeds the PCD; tuner, reference and onsets see the raw spectrum.
+      const magnitudes = this.noiseProfile.isActive()
+        ? this.noiseProfile.subtract(this.magnitudeData, this.cleanMagnitudes)
+        : this.magnitudeData;
+      rawPcd = this.pitchComputer.compute(magnitudes, this.sampleRate, pcdOptions);
+    }
+    this.primary = tunerGate ? this.detectPrimary() : null;
+    this.pitch = pitchEnabled && rms >= pcdOptions.minRms
+      ? this.pitchTracker.detect(this.pitchFrame, this.sampleRate, pcdOptions.refA4)
+      : null;
+
+    this.rawPcdValues.set(rawPcd);
+    this.pcdFilter.apply(this.rawPcdValues, this.pcdValues, hopDuration);
+    const dft = pcdToFrequencyDomain(this.pcdValues);
+    this.dftAmplitudes.set(dft.amplitudes);
+    this.dftPhases.set(dft.phases);
+    this.chord = pcdGate ? this.chordRecognizer.recognize(this.pcdValues) : null;
+    if (pcdGate) {
+      this.updateKey(hopDuration);
+    }
+  }
+
+  /**
+   * Updates the A4 estimate from the current spectrum and, in 'auto' mode,
+   * moves `pcd.refA4` once the estimate is confident and outside tolerance.
+   */
+  updateReference(dt) {
+    const estimate = this.referenceEstimator.push(this.magnitudeData, this.sampleRate, dt);
+    const { mode, minConfidence, toleranceCents } = this.options.reference;
+    if (mode !== 'auto' || this.referenceLocked || !estimate || estimate.confidence < minConfidence) {
+      return;
+    }
+    const offset = 1200 * Math.log2(estimate.refA4 / this.options.pcd.refA4);
+    if (Math.abs(offset) > toleranceCents) {
+      this.options.pcd.refA4 = Math.round(estimate.refA4 * 10) / 10;
+    }
+  }
+
+  /**
+   * Pins `pcd.refA4` to the given value (or the current estimate) and stops
+   * automatic adjustment until `unlockReference()` is called.
+   * @returns {number} The reference now in use.
+   */
+  lockReference(refA4 = null) {
+    const value = refA4 ?? this.referenceEstimator.getEstimate()?.refA4 ?? this.options.pcd.refA4;
+    this.options.pcd.refA4 = Math.max(1, Math.round(value * 10) / 10);
+    this.referenceLocked = true;
+    return this.options.pcd.refA4;
+  }
+
+  unlockReference() {
+    this.referenceLocked = false;
+  }
+
+  getReference() {
+    return {
+      refA4: this.options.pcd.refA4,
+      estimate: this.referenceEstimator.getEstimate(),
+      mode: this.options.reference.mode,
+      locked: this.referenceLocked
+    };
+  }
+
+  /**
+   * Runs onset detection and the tempo tracker for one hop and fires `onset`
+   * and `beat` events. Times are in seconds of analysed audio (`streamTime`).
+   */
+  updateRhythm(magnitudes, hopDuration) {
+    const time = this.streamTime;
+    const { flux, onset } = this.onsetDetector.push(magnitudes, this.sampleRate, time, hopDuration);
+    if (onset) {
+      this.lastOnset = onset;
+      this.fire('onset', onset);
+    }
+    const beat = this.tempoTracker.push(flux, time, hopDuration);
+    if (beat) {
+      this.lastBeat = beat;
+      this.fire('beat', beat);
+    }
+  }
+
+  getRhythm() {
+    const tracker = this.tempoTracker;
+    return {
+      time: this.streamTime,
+      bpm: tracker.bpm,
+      confidence: tracker.confidence,
+      beatPhase: tracker.getPhase(this.streamTime),
+      lastOnset: this.lastOnset,
+      lastBeat: this.lastBeat
+    };
+  }
+
+  /**
+   * Captures `seconds` of room noise as the subtraction profile. Analysis
+   * keeps running; the profile takes effect once capture completes. Only the
+   * FFT chroma path uses it (constant-Q chroma is computed from the waveform).
+   */
+  startNoiseCalibration(seconds) {
+    this.noiseProfile.startCalibration(seconds);
+  }
+
+  resetClipCount() {
+    this.loudnessMeter.resetClipCount();
+  }
+
+  clearNoiseProfile() {
+    this.noiseProfile.clear();
+  }
+
+  setAdaptiveNoiseFloor(enabled) {
+    this.noiseProfile.setAdaptive(enabled);
+  }
+
+  getNoiseStatus() {
+    return this.noiseProfile.getStatus();
+  }
+
+  /**
+   * Feeds the smoothed PCD into the key estimator and fires `keychange` when
+   * the reported key switches (including to or from "no key").
+   */
+  updateKey(dt) {
+    const { key, changed, previous } = this.keyEstimator.push(this.pcdValues, dt);
+    this.key = key;
+    if (changed) {
+      this.fire('keychange', { key, previous });
+    }
+  }
+
+  /**
+   * Runs the dominant-pitch tuner on the current magnitude spectrum and
+   * returns null unless the peak is prominent enough to trust.
+   */
+  detectPrimary() {
+    const tuner = this.options.tuner;
+    const estimate = estimatePrimary(this.magnitudeData, this.sampleRate, tuner.minHz, tuner.maxHz);
+    if (!estimate || estimate.prominenceDb < tuner.minProminence) {
+      return null;
+    }
+    return {
+      freq: estimate.freq,
+      prominenceDb: estimate.prominenceDb,
+      ...frequencyToNote(estimate.freq, this.options.pcd.refA4)
+    };
+  }
+
+  updatePcdOptions(updates = {}) {
+    this.options.pcd = normalizePcdOptions({ ...this.options.pcd, ...updates });
+  }
+
+  updateTuner(updates = {}) {
+    this.options.tuner = normalizeTunerOptions({ ...this.options.tuner, ...updates });
+  }
+
+  /**
+   * Snapshot of the latest analysed frame, in the shape of
+   * `AudioVolumeMonitor.update()`. The typed arrays are the engine's own.
+   */
+  getResult() {
+    return {
+      level: this.level,
+      rms: this.rms,
+      pcd: this.pcdValues,
+      dft: {
+        amplitudes: this.dftAmplitudes,
+        phases: this.dftPhases
+      },
+      primary: this.primary,
+      pitch: this.pitch,
+      chord: this.chord,
+      key: this.key,
+      reference: this.getReference(),
+      rhythm: this.options.rhythm.enabled ? this.getRhythm() : null,
+      noise: this.getNoiseStatus(),
+      loudness: this.loudnessMeter.getReading(),
+      frame: this.frameIndex,
+      time: this.streamTime,
+      timing: { ...this.timing }
+    };
+  }
+}
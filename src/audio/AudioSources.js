@@ -0,0 +1,291 @@
+/**
+ * Input sources for AudioVolumeMonitor. Every source exposes the same small
+ * surface so the monitor can swap them without rebuilding its analysis chain:
+ *
+ * - `kind` / `label` describe the source for status readouts.
+ * - `connect(audioContext)` resolves to the AudioNode that feeds the analyser.
+ * - `disconnect()` releases everything created by `connect()`.
+ *
+ * Sources that should be audible (files, media elements) route themselves to
+ * the context destination when `monitor` is enabled; the analyser never does.
+ */
+
+function toError(error) {
+  return error instanceof Error ? error : new Error(String(error));
+}
+
+/**
+ * Live input from getUserMedia. With a `deviceId` the given input is
+ * requested; if it is missing the default input is used instead and
+ * `usingFallback` is set so the owner can switch back when it reappears.
+ * `onEnded` (assigned by the owner) is called when the track ends, e.g.
+ * because the device was unplugged.
+ */
+export class MicrophoneSource {
+  constructor({ constraints = {}, deviceId = null, label = null } = {}) {
+    this.kind = 'microphone';
+    this.label = label ?? 'Microphone';
+    this.deviceId = deviceId || null;
+    this.constraints = {
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+      ...constraints
+    };
+    this.stream = null;
+    this.node = null;
+    this.track = null;
+    this.activeDeviceId = null;
+    this.usingFallback = false;
+    this.onEnded = null;
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+  }
+
+  /**
+   * Lists audio inputs. Labels stay empty until microphone permission has
+   * been granted once.
+   * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+   */
+  static async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === 'audioinput')
+      .map(({ deviceId, label }) => ({ deviceId, label }));
+  }
+
+  async openStream(deviceId) {
+    const audio = deviceId
+      ? { ...this.constraints, deviceId: { exact: deviceId } }
+      : this.constraints;
+    return navigator.mediaDevices.getUserMedia({ audio });
+  }
+
+  async connect(audioContext) {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error('Microphone access is not supported in this browser');
+    }
+    this.usingFallback = false;
+    try {
+      this.stream = await this.openStream(this.deviceId);
+    } catch (error) {
+      const missing = error?.name === 'OverconstrainedError' || error?.name === 'NotFoundError';
+      if (!this.deviceId || !missing) {
+        throw toError(error);
+      }
+      this.stream = await this.openStream(null);
+      this.usingFallback = true;
+    }
+
+    this.track = this.stream.getAudioTracks()[0] ?? null;
+    this.track?.addEventListener('ended', this.handleTrackEnded);
+    this.activeDeviceId = this.track?.getSettings?.().deviceId ?? null;
+    this.node = audioContext.createMediaStreamSource(this.stream);
+    return this.node;
+  }
+
+  handleTrackEnded() {
+    if (typeof this.onEnded === 'function') {
+      this.onEnded(this);
+    }
+  }
+
+  disconnect() {
+    if (this.node) {
+      try { this.node.disconnect(); } catch {}
+      this.node = null;
+    }
+    if (this.track) {
+      this.track.removeEventListener('ended', this.handleTrackEnded);
+      this.track = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+  }
+}
+
+/**
+ * Plays a decoded audio file (File, Blob, ArrayBuffer or URL). The decoded
+ * buffer is kept so the source can be reconnected without decoding again.
+ */
+export class AudioFileSource {
+  constructor({ file = null, url = null, arrayBuffer = null, label = null, loop = true, monitor = true } = {}) {
+    if (!file && !url && !arrayBuffer) {
+      throw new Error('AudioFileSource requires a file, url or arrayBuffer');
+    }
+    this.kind = 'file';
+    this.label = label ?? file?.name ?? (url ? url.split('/').pop() : 'Audio file');
+    this.file = file;
+    this.url = url;
+    this.arrayBuffer = arrayBuffer;
+    this.loop = loop;
+    this.monitor = monitor;
+    this.buffer = null;
+    this.bufferSampleRate = 0;
+    this.node = null;
+  }
+
+  async loadData() {
+    if (this.arrayBuffer) {
+      return this.arrayBuffer.slice(0);
+    }
+    if (this.file) {
+      return this.file.arrayBuffer();
+    }
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`Unable to load ${this.url} (${response.status})`);
+    }
+    return response.arrayBuffer();
+  }
+
+  async connect(audioContext) {
+    if (!this.buffer || this.bufferSampleRate !== audioContext.sampleRate) {
+      try {
+        this.buffer = await audioContext.decodeAudioData(await this.loadData());
+        this.bufferSampleRate = audioContext.sampleRate;
+      } catch (error) {
+        throw new Error(`Unable to decode ${this.label}: ${toError(error).message}`);
+      }
+    }
+    this.node = audioContext.createBufferSource();
+    this.node.buffer = this.buffer;
+    this.node.loop = this.loop;
+    if (this.monitor) {
+      this.node.connect(audioContext.destination);
+    }
+    this.node.start();
+    return this.node;
+  }
+
+  disconnect() {
+    if (!this.node) return;
+    try { this.node.stop(); } catch {}
+    try { this.node.disconnect(); } catch {}
+    this.node = null;
+  }
+}
+
+/**
+ * Analyses an existing <audio>/<video> element. A media element can only be
+ * captured once per context, so the node is cached and re-used on reconnect.
+ */
+export class MediaElementSource {
+  constructor(element, { label = null, monitor = true, autoplay = true } = {}) {
+    if (!element) {
+      throw new Error('MediaElementSource requires a media element');
+    }
+    this.kind = 'media';
+    this.label = label ?? (element.title || 'Media element');
+    this.element = element;
+    this.monitor = monitor;
+    this.autoplay = autoplay;
+    this.node = null;
+    this.nodeContext = null;
+  }
+
+  async connect(audioContext) {
+    if (!this.node || this.nodeContext !== audioContext) {
+      this.node = audioContext.createMediaElementSource(this.element);
+      this.nodeContext = audioContext;
+    }
+    if (this.monitor) {
+      this.node.connect(audioContext.destination);
+    }
+    if (this.autoplay && this.element.paused) {
+      await this.element.play();
+    }
+    return this.node;
+  }
+
+  disconnect() {
+    if (!this.node) return;
+    try { this.node.disconnect(); } catch {}
+  }
+}
+
+/**
+ * Built-in test signal: a stack of oscillators (e.g. a triad) optionally mixed
+ * with white noise. Muted by default so it does not leak into the room.
+ */
+export class TestSignalSource {
+  constructor({
+    label = null,
+    waveform = 'sine',
+    frequencies = [440],
+    gain = 0.15,
+    noise = 0,
+    monitor = false
+  } = {}) {
+    this.kind = 'test';
+    this.waveform = waveform;
+    this.frequencies = Array.isArray(frequencies) ? frequencies.filter((f) => f > 0) : [];
+    this.gain = gain;
+    this.noise = Math.max(0, noise);
+    this.monitor = monitor;
+    this.label = label ?? (this.frequencies.length > 0 ? 'Test tone' : 'Test noise');
+    this.nodes = [];
+    this.output = null;
+  }
+
+  createNoiseBuffer(audioContext) {
+    const length = audioContext.sampleRate * 2;
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i += 1) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  async connect(audioContext) {
+    this.output = audioContext.createGain();
+    this.output.gain.value = this.gain;
+
+    const toneGain = this.frequencies.length > 0 ? 1 / this.frequencies.length : 0;
+    this.frequencies.forEach((frequency) => {
+      const oscillator = audioContext.createOscillator();
+      oscillator.type = this.waveform;
+      oscillator.frequency.value = frequency;
+      const level = audioContext.createGain();
+      level.gain.value = toneGain;
+      oscillator.connect(level).connect(this.output);
+      oscillator.start();
+      this.nodes.push(oscillator, level);
+    });
+
+    if (this.noise > 0) {
+      const noiseSource = audioContext.createBufferSource();
+      noiseSource.buffer = this.createNoiseBuffer(audioContext);
+      noiseSource.loop = true;
+      const level = audioContext.createGain();
+      level.gain.value = this.noise;
+      noiseSource.connect(level).connect(this.output);
+      noiseSource.start();
+      this.nodes.push(noiseSource, level);
+    }
+
+    if (this.monitor) {
+      this.output.connect(audioContext.destination);
+    }
+    return this.output;
+  }
+
+  disconnect() {
+    this.nodes.forEach((node) => {
+      if (typeof node.stop === 'function') {
+        try { node.stop(); } catch {}
+      }
+      try { node.disconnect(); } catch {}
+    });
+    this.nodes = [];
+    if (this.output) {
+      try { this.output.disconnect(); } catch {}
+      this.output = null;
+    }
+  }
+}
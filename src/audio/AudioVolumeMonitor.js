@@ -1,77 +1,175 @@
-import * as THREE from 'three';
-import { PitchClassComputer } from './PitchClassComputer.js';
-import { pcdToFrequencyDomain } from './pcdDft.js';
-
-const DEFAULT_PCD_OPTIONS = {
-  minHz: 50,
-  maxHz: 5000,
-  pcdThreshold: 0.005,
-  pcdNormalize: 1.0,
-  refA4: 440,
-  minRms: 0.001
-};
-
-const DEFAULT_FFT_SIZE = 16384;
-const DEFAULT_SMOOTHING = 0.6;
-
-const MIN_FFT_SIZE = 32;
-const MAX_FFT_SIZE = 32768;
-
-function sanitizeFftSize(value) {
-  if (!Number.isFinite(value)) {
-    return DEFAULT_FFT_SIZE;
-  }
-  const clamped = Math.min(MAX_FFT_SIZE, Math.max(MIN_FFT_SIZE, Math.floor(value)));
-  const exponent = Math.round(Math.log2(clamped));
-  const size = 2 ** Math.min(Math.max(exponent, 5), 15);
-  return Math.min(MAX_FFT_SIZE, Math.max(MIN_FFT_SIZE, size));
-}
+import { MicrophoneSource } from './AudioSources.js';
+import { createTapNode, ensureTapWorklet } from './tapWorklet.js';
+import {
+  AnalysisEngine,
+  normalizeAnalysisOptions,
+  normalizePcdOptions,
+  normalizeTunerOptions
+} from './AnalysisEngine.js';
 
-function normalizePcdOptions(options) {
-  const normalized = { ...DEFAULT_PCD_OPTIONS, ...(options || {}) };
-  normalized.minHz = Math.max(0, normalized.minHz);
-  normalized.maxHz = Math.max(normalized.minHz + 1, normalized.maxHz);
-  normalized.pcdThreshold = Math.max(0, normalized.pcdThreshold);
-  normalized.pcdNormalize = Math.max(0.1, normalized.pcdNormalize);
-  normalized.refA4 = Math.max(1, normalized.refA4);
-  normalized.minRms = Math.max(0, normalized.minRms);
-  return normalized;
-}
+const SILENT_NOISE_STATUS = { state: 'none', progress: 0, adaptive: false };
 
+/**
+ * Captures audio through an AudioWorklet tap and analyses a Hann-windowed
+ * frame every `hopSize` samples (see `AnalysisEngine`). The analysis rate
+ * therefore follows the audio clock rather than the render loop; `update()`
+ * only hands out the most recent finished frame.
+ *
+ * By default the engine runs in a Web Worker and the tap posts its samples
+ * straight to it, so neither the samples nor the FFT touch the main thread.
+ * Results come back with their arrays in transferred buffers. Without worker
+ * support (or with `worker: false`) the engine runs on the main thread.
+ */
 export class AudioVolumeMonitor {
-  constructor({ fftSize = DEFAULT_FFT_SIZE, smoothing = DEFAULT_SMOOTHING, normalization = 4, pcdOptions = {} } = {}) {
-    const sanitizedFftSize = sanitizeFftSize(fftSize);
-    const smoothingValue = THREE.MathUtils.clamp(
-      Number.isFinite(smoothing) ? smoothing : DEFAULT_SMOOTHING,
-      0,
-      0.99
-    );
-    this.options = {
-      fftSize: sanitizedFftSize,
-      smoothing: smoothingValue,
-      normalization: normalization > 0 ? normalization : 4,
-      pcd: normalizePcdOptions(pcdOptions)
-    };
+  /**
+   * @param {object} [options] - Analysis options (see `normalizeAnalysisOptions`)
+   *   plus `worker` (default true) to allow analysis off the main thread.
+   */
+  constructor({ worker = true, ...config } = {}) {
+    // Kept verbatim so the worker can build an identical engine.
+    this.config = config;
+    this.options = { ...normalizeAnalysisOptions(this.config), worker: Boolean(worker) };
     this.state = {
       status: 'idle',
-      level: 0,
-      rms: 0,
       error: null
     };
     this.audioContext = null;
-    this.analyser = null;
-    this.stream = null;
     this.source = null;
-    this.dataArray = null;
-    this.frequencyData = null;
-    this.magnitudeData = null;
+    this.inputNode = null;
+    this.tapNode = null;
+    this.silentGain = null;
     this.sampleRate = 44100;
 
-    this.pitchComputer = new PitchClassComputer();
+    this.engine = null;
+    this.worker = null;
+    this.analysisMode = null;
+    this.workerError = null;
+    // Control calls whose effect must survive a fall back to the main thread.
+    this.analysisSettings = { smoothing: null, lockedRefA4: null, adaptiveNoiseFloor: null };
+    this.latest = null;
     this.pcdValues = new Float32Array(12);
-    this.rawPcdValues = new Float32Array(12);
     this.dftAmplitudes = new Float32Array(7);
     this.dftPhases = new Float32Array(7);
+    this.listeners = new Map();
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+
+    this.handleAudioFrame = this.handleAudioFrame.bind(this);
+    this.handleSourceEnded = this.handleSourceEnded.bind(this);
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+    this.handleWorkerError = this.handleWorkerError.bind(this);
+    this.createAnalysis();
+  }
+
+  createAnalysis() {
+    if (this.options.worker && typeof Worker !== 'undefined') {
+      try {
+        const worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = this.handleWorkerMessage;
+        worker.onerror = this.handleWorkerError;
+        worker.postMessage({ type: 'init', config: this.config, sampleRate: this.sampleRate });
+        this.worker = worker;
+        this.analysisMode = 'worker';
+        return;
+      } catch (error) {
+        this.workerError = error instanceof Error ? error : new Error(String(error));
+      }
+    }
+    this.useMainThreadAnalysis();
+  }
+
+  useMainThreadAnalysis() {
+    this.engine = new AnalysisEngine(this.config, {
+      onEvent: (event, payload) => this.fire(event, payload)
+    });
+    this.engine.setSampleRate(this.sampleRate);
+    this.analysisMode = 'main';
+  }
+
+  /**
+   * The worker failed to load or crashed: continue on the main thread and
+   * point the tap back at it. Options and recorded control calls are applied
+   * to the new engine; a captured noise profile lived in the worker and is
+   * lost, which the `analysisfallback` payload reports in `reset`.
+   */
+  handleWorkerError(event) {
+    event?.preventDefault?.();
+    this.workerError = new Error(event?.message || 'Analysis worker failed');
+    const noiseState = this.latest?.noise?.state ?? 'none';
+    this.worker?.terminate();
+    this.worker = null;
+    this.latest = null;
+    this.useMainThreadAnalysis();
+    this.engine.updatePcdOptions(this.options.pcd);
+    this.engine.updateTuner(this.options.tuner);
+    const { smoothing, lockedRefA4, adaptiveNoiseFloor } = this.analysisSettings;
+    if (smoothing) this.engine.setSmoothing(smoothing);
+    if (lockedRefA4 !== null) this.engine.lockReference(lockedRefA4);
+    if (adaptiveNoiseFloor !== null) this.engine.setAdaptiveNoiseFloor(adaptiveNoiseFloor);
+    this.tapNode?.port.postMessage({ target: null });
+    const reset = noiseState === 'none' ? [] : ['noise profile'];
+    this.fire('analysisfallback', { message: this.workerError.message, reset });
+  }
+
+  handleWorkerMessage({ data }) {
+    if (data.type === 'event') {
+      this.fire(data.event, data.payload);
+      return;
+    }
+    if (data.type !== 'result') return;
+
+    const { packed, result } = data;
+    this.pcdValues.set(packed.subarray(0, 12));
+    this.dftAmplitudes.set(packed.subarray(12, 19));
+    this.dftPhases.set(packed.subarray(19, 26));
+    this.latest = {
+      ...result,
+      pcd: this.pcdValues,
+      dft: { amplitudes: this.dftAmplitudes, phases: this.dftPhases }
+    };
+    // Reference 'auto' mode adjusts refA4 inside the worker.
+    this.options.pcd.refA4 = result.reference.refA4;
+  }
+
+  /** Forwards a control call to wherever the engine runs. */
+  callAnalysis(method, ...args) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'call', method, args });
+      return undefined;
+    }
+    return this.engine[method](...args);
+  }
+
+  /** @returns {{ mode: 'worker'|'main', frameMs: number, averageMs: number }} */
+  getAnalysisTiming() {
+    const timing = this.engine ? this.engine.timing : this.latest?.timing;
+    return {
+      mode: this.analysisMode,
+      frameMs: timing?.frameMs ?? 0,
+      averageMs: timing?.averageMs ?? 0
+    };
+  }
+
+  /**
+   * Subscribes to analysis events: `keychange` (`{ key, previous }`),
+   * `onset` (`{ time, strength }`), `beat` (`{ time, bpm, index }`) and
+   * `devicechange` (`{ devices }`, audio inputs after a hot-plug) and
+   * `noisecalibrated` (`{ seconds }`).
+   * Returns an unsubscribe function.
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event).delete(handler);
+  }
+
+  fire(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => handler(payload));
   }
 
   getStatus() {
@@ -85,9 +183,13 @@ export class AudioVolumeMonitor {
   getStatusDescription() {
     switch (this.state.status) {
       case 'pending':
-        return 'awaiting permission';
+        return this.source?.kind === 'microphone' ? 'awaiting permission' : 'starting';
       case 'active':
-        return 'active';
+        return this.source?.usingFallback ? 'active (default input)' : 'active';
+      case 'disconnected':
+        return 'disconnected';
+      case 'reconnecting':
+        return this.reconnectAttempts > 1 ? `reconnecting (attempt ${this.reconnectAttempts})` : 'reconnecting';
       case 'error':
         return this.getErrorMessage() ? `error: ${this.getErrorMessage()}` : 'error';
       default:
@@ -95,17 +197,26 @@ export class AudioVolumeMonitor {
     }
   }
 
-  async start() {
+  getSource() {
+    return this.source;
+  }
+
+  getSourceLabel() {
+    return this.source?.label ?? 'No source';
+  }
+
+  /**
+   * Builds the analysis chain and connects the given source (the microphone by
+   * default, or the last source passed to `setSource`).
+   * @param {object} [source] - One of the sources from AudioSources.js.
+   */
+  async start(source = null) {
     if (this.state.status === 'active' || this.state.status === 'pending') {
       return;
     }
 
-    if (!navigator.mediaDevices?.getUserMedia) {
-      this.state.status = 'error';
-      this.state.error = new Error('Microphone access is not supported in this browser');
-      throw this.state.error;
-    }
-
+    const nextSource = source ?? this.source ?? new MicrophoneSource();
+    this.source = nextSource;
     this.state.status = 'pending';
 
     try {
@@ -116,31 +227,191 @@ export class AudioVolumeMonitor {
 
       this.audioContext = new AudioContextConstructor({ latencyHint: 'interactive' });
       this.sampleRate = this.audioContext.sampleRate;
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false
-        }
-      });
-      this.stream = stream;
-      this.source = this.audioContext.createMediaStreamSource(stream);
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = this.options.fftSize;
-      this.analyser.smoothingTimeConstant = 0;
-      this.dataArray = new Float32Array(this.analyser.fftSize);
-      this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
-      this.magnitudeData = new Float32Array(this.analyser.frequencyBinCount);
-      this.source.connect(this.analyser);
+      await ensureTapWorklet(this.audioContext);
+      this.inputNode = this.audioContext.createGain();
+      this.tapNode = createTapNode(this.audioContext);
+      this.connectTap();
+      this.silentGain = this.audioContext.createGain();
+      this.silentGain.gain.value = 0;
+      this.inputNode.connect(this.tapNode).connect(this.silentGain).connect(this.audioContext.destination);
+      this.resetBuffers();
+      navigator.mediaDevices?.addEventListener?.('devicechange', this.handleDeviceChange);
+
+      nextSource.onEnded = this.handleSourceEnded;
+      const output = await nextSource.connect(this.audioContext);
+      // The source was switched (or the monitor stopped) while connecting.
+      if (this.source !== nextSource || !this.inputNode) {
+        nextSource.disconnect();
+        return;
+      }
+      output.connect(this.inputNode);
       this.state.status = 'active';
       this.state.error = null;
     } catch (error) {
+      if (this.source !== nextSource && this.inputNode) {
+        nextSource.disconnect();
+        return;
+      }
+      this.teardown();
       this.state.status = 'error';
       this.state.error = error instanceof Error ? error : new Error(String(error));
       throw this.state.error;
     }
   }
 
+  /**
+   * Switches the analysed input. When the chain is running only the source is
+   * swapped; the worklet tap, ring buffer and smoothing state are kept.
+   * @param {object} source - One of the sources from AudioSources.js.
+   */
+  async setSource(source) {
+    if (!source || typeof source.connect !== 'function') {
+      throw new Error('setSource expects an audio source with a connect() method');
+    }
+    if (!this.audioContext || !this.inputNode) {
+      await this.start(source);
+      return;
+    }
+    if (source === this.source && this.state.status === 'active') {
+      return;
+    }
+
+    this.cancelReconnect();
+    this.source?.disconnect();
+    this.source = source;
+    this.state.status = 'pending';
+    try {
+      source.onEnded = this.handleSourceEnded;
+      const output = await source.connect(this.audioContext);
+      if (this.source !== source) {
+        source.disconnect();
+        return;
+      }
+      output.connect(this.inputNode);
+      this.state.status = 'active';
+      this.state.error = null;
+    } catch (error) {
+      if (this.source === source) {
+        this.state.status = 'error';
+        this.state.error = error instanceof Error ? error : new Error(String(error));
+      }
+      throw error instanceof Error ? error : new Error(String(error));
+    }
+  }
+
+  handleSourceEnded(source) {
+    if (source !== this.source || this.state.status !== 'active') {
+      return;
+    }
+    this.state.status = 'disconnected';
+    this.reconnectAttempts = 0;
+    this.scheduleReconnect(0);
+  }
+
+  /**
+   * Inputs were added or removed: retry a lost source straight away, and move
+   * a microphone back to its chosen device once that device is present again.
+   */
+  async handleDeviceChange() {
+    let devices = [];
+    try {
+      devices = await MicrophoneSource.listInputDevices();
+    } catch {}
+    this.fire('devicechange', { devices });
+
+    const source = this.source;
+    if (!source || !this.audioContext) return;
+    if (this.state.status === 'disconnected') {
+      this.scheduleReconnect(0);
+      return;
+    }
+    if (
+      this.state.status === 'active' &&
+      source.usingFallback &&
+      devices.some((device) => device.deviceId === source.deviceId)
+    ) {
+      this.scheduleReconnect(0);
+    }
+  }
+
+  scheduleReconnect(delay) {
+    if (this.reconnectTimer !== null) {
+      clearTimeout(this.reconnectTimer);
+    }
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectSource();
+    }, delay);
+  }
+
+  cancelReconnect() {
+    if (this.reconnectTimer !== null) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Reopens the current source on the running chain. Failed attempts back off
+   * exponentially (1 s … 10 s) and keep the status at 'disconnected'.
+   */
+  async reconnectSource() {
+    const source = this.source;
+    if (!source || !this.audioContext || !this.inputNode) return;
+
+    const attempts = this.reconnectAttempts + 1;
+    this.reconnectAttempts = attempts;
+    this.state.status = 'reconnecting';
+    source.disconnect();
+    try {
+      const output = await source.connect(this.audioContext);
+      if (this.source !== source || !this.inputNode) {
+        source.disconnect();
+        return;
+      }
+      output.connect(this.inputNode);
+      this.state.status = 'active';
+      this.state.error = null;
+      this.reconnectAttempts = 0;
+    } catch (error) {
+      if (this.source !== source) return;
+      this.state.status = 'disconnected';
+      this.state.error = error instanceof Error ? error : new Error(String(error));
+      this.scheduleReconnect(Math.min(10000, 1000 * 2 ** (attempts - 1)));
+    }
+  }
+
+  async stop() {
+    this.teardown();
+    this.resetBuffers();
+    this.state.status = 'idle';
+    this.state.error = null;
+  }
+
+  teardown() {
+    this.cancelReconnect();
+    navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
+    this.source?.disconnect();
+    if (this.tapNode) {
+      this.tapNode.port.onmessage = null;
+      try { this.tapNode.disconnect(); } catch {}
+      this.tapNode = null;
+    }
+    if (this.silentGain) {
+      try { this.silentGain.disconnect(); } catch {}
+      this.silentGain = null;
+    }
+    if (this.inputNode) {
+      try { this.inputNode.disconnect(); } catch {}
+      this.inputNode = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+  }
+
   async resume() {
     if (this.audioContext && this.audioContext.state === 'suspended') {
       try {
@@ -153,17 +424,145 @@ export class AudioVolumeMonitor {
     }
   }
 
+  /**
+   * Routes tap samples to the engine: through a MessageChannel straight into
+   * the worker, or to `handleAudioFrame` on the main thread.
+   */
+  connectTap() {
+    this.tapNode.port.onmessage = this.handleAudioFrame;
+    if (this.worker) {
+      const channel = new MessageChannel();
+      this.tapNode.port.postMessage({ target: channel.port1 }, [channel.port1]);
+      this.worker.postMessage({ type: 'connect', port: channel.port2 }, [channel.port2]);
+    }
+  }
+
+  resetBuffers() {
+    this.latest = null;
+    this.pcdValues.fill(0);
+    this.dftAmplitudes.fill(0);
+    this.dftPhases.fill(0);
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset', sampleRate: this.sampleRate });
+    } else {
+      this.engine.setSampleRate(this.sampleRate);
+      this.engine.reset();
+    }
+  }
+
+  /**
+   * Replaces the level and/or PCD smoothing filter; see utils/smoothing.js
+   * for the config format. Filter state starts afresh.
+   * @param {{ level?: object | string, pcd?: object | string }} smoothing
+   */
+  setSmoothing(smoothing = {}) {
+    this.analysisSettings.smoothing = { ...this.analysisSettings.smoothing, ...smoothing };
+    this.callAnalysis('setSmoothing', smoothing);
+  }
+
+  handleAudioFrame(event) {
+    if (this.state.status !== 'active' || !this.engine) return;
+    this.engine.pushSamples(event.data);
+  }
+
+  /**
+   * Pins `pcd.refA4` to the given value (or the current estimate) and stops
+   * automatic adjustment until `unlockReference()` is called.
+   * @returns {number} The reference now in use.
+   */
+  lockReference(refA4 = null) {
+    const value = refA4 ?? this.getReference().estimate?.refA4 ?? this.options.pcd.refA4;
+    this.options.pcd.refA4 = Math.max(1, Math.round(value * 10) / 10);
+    this.analysisSettings.lockedRefA4 = this.options.pcd.refA4;
+    this.callAnalysis('lockReference', this.options.pcd.refA4);
+    return this.options.pcd.refA4;
+  }
+
+  unlockReference() {
+    this.analysisSettings.lockedRefA4 = null;
+    this.callAnalysis('unlockReference');
+  }
+
+  getReference() {
+    if (this.engine) {
+      return this.engine.getReference();
+    }
+    return this.latest?.reference ?? {
+      refA4: this.options.pcd.refA4,
+      estimate: null,
+      mode: this.options.reference.mode,
+      locked: false
+    };
+  }
+
+  getRhythm() {
+    return this.engine ? this.engine.getRhythm() : this.latest?.rhythm ?? null;
+  }
+
+  /**
+   * Captures `seconds` of room noise as the subtraction profile. Analysis
+   * keeps running; the profile takes effect once capture completes. Only the
+   * FFT chroma path uses it (constant-Q chroma is computed from the waveform).
+   */
+  startNoiseCalibration(seconds) {
+    this.callAnalysis('startNoiseCalibration', seconds);
+  }
+
+  clearNoiseProfile() {
+    this.callAnalysis('clearNoiseProfile');
+  }
+
+  /** Zeroes the clip counter of the loudness meter. */
+  resetClipCount() {
+    this.callAnalysis('resetClipCount');
+  }
+
+  setAdaptiveNoiseFloor(enabled) {
+    this.analysisSettings.adaptiveNoiseFloor = Boolean(enabled);
+    this.callAnalysis('setAdaptiveNoiseFloor', enabled);
+  }
+
+  getNoiseStatus() {
+    return this.engine ? this.engine.getNoiseStatus() : this.latest?.noise ?? SILENT_NOISE_STATUS;
+  }
+
+  updatePcdOptions(updates = {}) {
+    this.options.pcd = normalizePcdOptions({ ...this.options.pcd, ...updates });
+    this.callAnalysis('updatePcdOptions', updates);
+  }
+
+  updateTuner(updates = {}) {
+    this.options.tuner = normalizeTunerOptions({ ...this.options.tuner, ...updates });
+    this.callAnalysis('updateTuner', updates);
+  }
+
+  /**
+   * Returns the latest finished analysis frame. Safe to call every render
+   * frame; values only change when a new hop has been processed, which
+   * `frame` (a hop counter) and `time` (seconds of analysed audio) identify.
+   */
   update() {
-    if (this.state.status !== 'active' || !this.analyser || !this.dataArray || !this.frequencyData) {
+    const result = this.engine ? this.engine.getResult() : this.latest;
+    if (this.state.status !== 'active' || !result) {
       this.pcdValues.fill(0);
-      this.rawPcdValues.fill(0);
       this.dftAmplitudes.fill(0);
       this.dftPhases.fill(0);
       return {
         level: 0,
         rms: 0,
         pcd: this.pcdValues,
-        dft: { amplitudes: this.dftAmplitudes, phases: this.dftPhases }
+        dft: { amplitudes: this.dftAmplitudes, phases: this.dftPhases },
+        primary: null,
+        pitch: null,
+        chord: null,
+        key: null,
+        reference: this.getReference(),
+        rhythm: null,
+        noise: this.getNoiseStatus(),
+        loudness: null,
+        frame: result?.frame ?? 0,
+        time: result?.time ?? 0,
+        timing: this.getAnalysisTiming()
       };
     }
 
@@ -171,68 +570,6 @@ export class AudioVolumeMonitor {
       this.resume();
     }
 
-    this.analyser.getFloatTimeDomainData(this.dataArray);
-    let sumSquares = 0;
-    for (let i = 0; i < this.dataArray.length; i += 1) {
-      const sample = this.dataArray[i];
-      sumSquares += sample * sample;
-    }
-
-    const rms = Math.sqrt(sumSquares / this.dataArray.length);
-    const normalized = Math.min(1, rms * this.options.normalization);
-    const meterSmoothing = this.options.smoothing;
-
-    this.state.level = meterSmoothing * this.state.level + (1 - meterSmoothing) * normalized;
-    this.state.rms = meterSmoothing * this.state.rms + (1 - meterSmoothing) * rms;
-
-    const pcdOptions = this.options.pcd;
-    let rawPcd;
-    if (this.state.rms >= pcdOptions.minRms) {
-      this.analyser.getFloatFrequencyData(this.frequencyData);
-      const len = this.frequencyData.length;
-      for (let i = 0; i < len; i += 1) {
-        const db = this.frequencyData[i];
-        if (!Number.isFinite(db) || db <= -160) {
-          this.magnitudeData[i] = 0;
-        } else {
-          this.magnitudeData[i] = Math.pow(10, db / 20);
-        }
-      }
-      this.sampleRate = this.audioContext?.sampleRate ?? this.sampleRate;
-      rawPcd = this.pitchComputer.compute(this.magnitudeData, this.sampleRate, pcdOptions);
-    } else {
-      this.rawPcdValues.fill(0);
-      rawPcd = this.rawPcdValues;
-    }
-
-    if (rawPcd) {
-      this.rawPcdValues.set(rawPcd);
-      const pcdSmoothing = THREE.MathUtils.clamp(this.options.smoothing, 0, 0.999);
-      if (pcdSmoothing === 0) {
-        this.pcdValues.set(this.rawPcdValues);
-      } else {
-        const blend = 1 - pcdSmoothing;
-        for (let i = 0; i < this.pcdValues.length; i += 1) {
-          this.pcdValues[i] = pcdSmoothing * this.pcdValues[i] + blend * this.rawPcdValues[i];
-        }
-      }
-      const dft = pcdToFrequencyDomain(this.pcdValues);
-      this.dftAmplitudes.set(dft.amplitudes);
-      this.dftPhases.set(dft.phases);
-    } else {
-      this.pcdValues.fill(0);
-      this.dftAmplitudes.fill(0);
-      this.dftPhases.fill(0);
-    }
-
-    return {
-      level: this.state.level,
-      rms: this.state.rms,
-      pcd: this.pcdValues,
-      dft: {
-        amplitudes: this.dftAmplitudes,
-        phases: this.dftPhases
-      }
-    };
+    return { ...result, timing: this.getAnalysisTiming() };
   }
 }
@@ -0,0 +1,142 @@
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Chord qualities as intervals above the root. The suffix is appended to the
+ * root name to build the label (e.g. `Am7`).
+ */
+export const CHORD_QUALITIES = [
+  { quality: 'major', suffix: '', intervals: [0, 4, 7] },
+  { quality: 'minor', suffix: 'm', intervals: [0, 3, 7] },
+  { quality: 'diminished', suffix: 'dim', intervals: [0, 3, 6] },
+  { quality: 'augmented', suffix: 'aug', intervals: [0, 4, 8] },
+  { quality: 'sus2', suffix: 'sus2', intervals: [0, 2, 7] },
+  { quality: 'sus4', suffix: 'sus4', intervals: [0, 5, 7] },
+  { quality: 'dominant7', suffix: '7', intervals: [0, 4, 7, 10] },
+  { quality: 'major7', suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { quality: 'minor7', suffix: 'm7', intervals: [0, 3, 7, 10] },
+  { quality: 'half-diminished7', suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+  { quality: 'diminished7', suffix: 'dim7', intervals: [0, 3, 6, 9] }
+];
+
+function buildTemplates(qualities) {
+  const templates = [];
+  const byMask = new Map();
+  qualities.forEach(({ quality, suffix, intervals }) => {
+    for (let root = 0; root < 12; root += 1) {
+      let mask = 0;
+      const weights = new Float32Array(12);
+      intervals.forEach((interval) => {
+        const pitchClass = (root + interval) % 12;
+        mask |= 1 << pitchClass;
+        weights[pitchClass] = 1;
+      });
+      const pitchClasses = intervals.map((interval) => (root + interval) % 12);
+      const spelling = { label: `${PITCH_CLASS_NAMES[root]}${suffix}`, root, quality, pitchClasses };
+      const existing = byMask.get(mask);
+      if (existing) {
+        // Symmetric chords (augmented, diminished 7th) repeat every few roots;
+        // keep only the first spelling. Different qualities on the same notes
+        // (Csus4 = Fsus2) stay as alternative spellings of one template.
+        if (!existing.spellings.some((other) => other.quality === quality)) {
+          existing.spellings.push(spelling);
+        }
+        continue;
+      }
+      const norm = Math.sqrt(intervals.length);
+      for (let i = 0; i < 12; i += 1) {
+        weights[i] /= norm;
+      }
+      const template = {
+        pitchClasses,
+        weights,
+        spellings: [spelling]
+      };
+      byMask.set(mask, template);
+      templates.push(template);
+    }
+  });
+  return templates;
+}
+
+/** Of the spellings sharing one template, the one whose root is loudest in the PCD. */
+function pickSpelling(template, pcd) {
+  let best = template.spellings[0];
+  for (let i = 1; i < template.spellings.length; i += 1) {
+    const spelling = template.spellings[i];
+    if (pcd[spelling.root] > pcd[best.root]) {
+      best = spelling;
+    }
+  }
+  return best;
+}
+
+/**
+ * Matches a 12-bin PCD against binary chord templates using cosine
+ * similarity. The templates are built once; `recognize` does not allocate
+ * beyond its small result object. Chords on the same notes (Csus4 / Fsus2)
+ * share a template and are told apart by the weight of their roots.
+ */
+export class ChordRecognizer {
+  constructor({ qualities = CHORD_QUALITIES, minScore = 0.6 } = {}) {
+    this.templates = buildTemplates(qualities);
+    this.minScore = minScore;
+  }
+
+  /**
+   * @param {ArrayLike<number>} pcd - 12 pitch-class weights (any scale).
+   * @returns {{ label: string, root: number, quality: string, pitchClasses: number[],
+   *   confidence: number, runnerUp: { label: string, confidence: number } | null } | null}
+   *   Null when the PCD is silent or no template scores above `minScore`.
+   */
+  recognize(pcd) {
+    if (!pcd || pcd.length !== 12) {
+      return null;
+    }
+
+    let energy = 0;
+    for (let i = 0; i < 12; i += 1) {
+      energy += pcd[i] * pcd[i];
+    }
+    if (energy <= 1e-12) {
+      return null;
+    }
+    const invNorm = 1 / Math.sqrt(energy);
+
+    let best = null;
+    let bestScore = -Infinity;
+    let second = null;
+    let secondScore = -Infinity;
+    for (let t = 0; t < this.templates.length; t += 1) {
+      const template = this.templates[t];
+      let dot = 0;
+      for (let i = 0; i < template.pitchClasses.length; i += 1) {
+        const pitchClass = template.pitchClasses[i];
+        dot += pcd[pitchClass] * template.weights[pitchClass];
+      }
+      const score = dot * invNorm;
+      if (score > bestScore) {
+        second = best;
+        secondScore = bestScore;
+        best = template;
+        bestScore = score;
+      } else if (score > secondScore) {
+        second = template;
+        secondScore = score;
+      }
+    }
+
+    if (!best || bestScore < this.minScore) {
+      return null;
+    }
+
+    const spelling = pickSpelling(best, pcd);
+    return {
+      label: spelling.label,
+      root: spelling.root,
+      quality: spelling.quality,
+      pitchClasses: spelling.pitchClasses,
+      confidence: bestScore,
+      runnerUp: second ? { label: pickSpelling(second, pcd).label, confidence: secondScore } : null
+    };
+  }
+}
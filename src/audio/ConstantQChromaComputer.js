@@ -0,0 +1,184 @@
+import { RealFFT } from './RealFFT.js';
+import { hannWindow } from './windowing.js';
+
+export const DEFAULT_CONSTANT_Q_OPTIONS = {
+  binsPerOctave: 36,
+  minHz: 65.41,
+  maxHz: 2093,
+  kernelThreshold: 0.0054
+};
+
+// Kernels sit on a grid anchored at A4 = 440 Hz; other references only rotate
+// the bin-to-pitch-class mapping.
+const GRID_A4 = 440;
+
+/**
+ * Constant-Q (log-frequency) chroma, computed with sparse spectral kernels
+ * (Brown & Puckette): every CQ bin is a Hann-windowed complex exponential
+ * whose length shrinks with frequency, so each octave contributes the same
+ * number of bins. Kernels are built once per frame size / sample rate /
+ * option set (see `prepare`) and applied to the FFT of the unwindowed frame.
+ * A change of reference pitch only remaps bins to their nearest pitch class.
+ *
+ * Exposes the same `compute` / `getSilentOutput` surface as
+ * PitchClassComputer, except that `compute` takes the time-domain frame.
+ * Low bins whose ideal kernel is longer than the frame are truncated to the
+ * frame length, so their resolution is capped by the window size.
+ */
+export class ConstantQChromaComputer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CONSTANT_Q_OPTIONS, ...options };
+    this.fft = new RealFFT();
+    this.kernel = null;
+    this.kernelKey = '';
+    this.binPitchClasses = new Uint8Array(0);
+    this.mappedRefA4 = null;
+    this.output = new Float32Array(12);
+    this.zero = new Float32Array(12);
+  }
+
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Builds the sparse spectral kernels for frames of `size` samples; a no-op
+   * when they already match. This takes a while (two FFTs per bin), so
+   * callers should run it before the first `compute`. For a complex temporal
+   * kernel a + ib the spectrum is FFT(a) + i·FFT(b), so two real transforms
+   * are used.
+   */
+  prepare(size, sampleRate) {
+    const { binsPerOctave, minHz, maxHz, kernelThreshold } = this.options;
+    const key = `${size}:${sampleRate}:${binsPerOctave}:${minHz}:${maxHz}:${kernelThreshold}`;
+    if (this.kernel && this.kernelKey === key) {
+      return;
+    }
+    this.kernelKey = key;
+    this.mappedRefA4 = null;
+
+    const q = 1 / (2 ** (1 / binsPerOctave) - 1);
+    const startSemitone = Math.ceil(12 * Math.log2(minHz / GRID_A4));
+    const startFreq = GRID_A4 * 2 ** (startSemitone / 12);
+    const binCount = Math.max(1, Math.floor(binsPerOctave * Math.log2(maxHz / startFreq)) + 1);
+    const half = size >> 1;
+
+    const kernelFft = new RealFFT();
+    const partA = new Float32Array(size);
+    const partB = new Float32Array(size);
+    const aReal = new Float32Array(half + 1);
+    const aImag = new Float32Array(half + 1);
+
+    const bins = [];
+    for (let k = 0; k < binCount; k += 1) {
+      const freq = startFreq * 2 ** (k / binsPerOctave);
+      if (freq >= sampleRate / 2) break;
+      const length = Math.min(size, Math.ceil((q * sampleRate) / freq));
+      const window = hannWindow(length);
+      const offset = size - length;
+      partA.fill(0);
+      partB.fill(0);
+      for (let n = 0; n < length; n += 1) {
+        const angle = (2 * Math.PI * freq * n) / sampleRate;
+        const w = window[n] / length;
+        partA[offset + n] = w * Math.cos(angle);
+        partB[offset + n] = w * Math.sin(angle);
+      }
+
+      kernelFft.transform(partA);
+      aReal.set(kernelFft.real.subarray(0, half + 1));
+      aImag.set(kernelFft.imag.subarray(0, half + 1));
+      kernelFft.transform(partB);
+
+      let peak = 0;
+      const re = new Float32Array(half + 1);
+      const im = new Float32Array(half + 1);
+      for (let j = 0; j <= half; j += 1) {
+        re[j] = aReal[j] - kernelFft.imag[j];
+        im[j] = aImag[j] + kernelFft.real[j];
+        peak = Math.max(peak, Math.hypot(re[j], im[j]));
+      }
+
+      const indices = [];
+      for (let j = 0; j <= half; j += 1) {
+        if (Math.hypot(re[j], im[j]) >= peak * kernelThreshold) {
+          indices.push(j);
+        }
+      }
+      bins.push({
+        freq,
+        semitone: startSemitone + (12 * k) / binsPerOctave,
+        indices: Uint32Array.from(indices),
+        re: Float32Array.from(indices, (j) => re[j] / size),
+        im: Float32Array.from(indices, (j) => im[j] / size)
+      });
+    }
+    this.kernel = bins;
+    this.binPitchClasses = new Uint8Array(bins.length);
+  }
+
+  /** Assigns each kernel bin to the pitch class nearest to it under `refA4`. */
+  mapPitchClasses(refA4) {
+    if (this.mappedRefA4 === refA4) {
+      return;
+    }
+    this.mappedRefA4 = refA4;
+    const shift = 12 * Math.log2(refA4 / GRID_A4);
+    for (let k = 0; k < this.kernel.length; k += 1) {
+      const semitone = Math.round(this.kernel[k].semitone - shift);
+      this.binPitchClasses[k] = (((semitone + 9) % 12) + 12) % 12;
+    }
+  }
+
+  /**
+   * Computes the chroma of an unwindowed time-domain frame.
+   * @param {Float32Array} frame
+   * @param {number} sampleRate
+   * @param {object} options - The monitor's pcd options (pcdThreshold, pcdNormalize, refA4).
+   * @returns {Float32Array} Reference to the internal output buffer.
+   */
+  compute(frame, sampleRate, options) {
+    const { pcdThreshold, pcdNormalize, refA4 } = options;
+    this.fft.transform(frame);
+    this.prepare(this.fft.size, sampleRate);
+    this.mapPitchClasses(refA4);
+    const { real, imag } = this.fft;
+
+    this.output.fill(0);
+    for (let k = 0; k < this.kernel.length; k += 1) {
+      const bin = this.kernel[k];
+      let sumRe = 0;
+      let sumIm = 0;
+      // X · conj(K) correlates the frame with the kernel.
+      for (let i = 0; i < bin.indices.length; i += 1) {
+        const j = bin.indices[i];
+        sumRe += real[j] * bin.re[i] + imag[j] * bin.im[i];
+        sumIm += imag[j] * bin.re[i] - real[j] * bin.im[i];
+      }
+      const magnitude = Math.hypot(sumRe, sumIm);
+      if (magnitude > pcdThreshold) {
+        this.output[this.binPitchClasses[k]] += magnitude * magnitude;
+      }
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 12; i += 1) {
+      if (pcdNormalize !== 1) {
+        this.output[i] = Math.pow(this.output[i], pcdNormalize);
+      }
+      sum += this.output[i];
+    }
+    if (sum > 0) {
+      const inv = 1 / sum;
+      for (let i = 0; i < 12; i += 1) {
+        this.output[i] *= inv;
+      }
+    }
+    return this.output;
+  }
+
+  getSilentOutput() {
+    this.zero.fill(0);
+    return this.zero;
+  }
+}
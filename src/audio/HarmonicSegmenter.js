@@ -0,0 +1,179 @@
+import { ChordRecognizer } from './ChordRecognizer.js';
+import { pcdToFrequencyDomain } from './pcdDft.js';
+
+/** Cosine distance between two 12-bin PCDs: 0 for the same shape, 1 for disjoint. */
+function pcdDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < 12; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA <= 1e-12 || normB <= 1e-12) {
+    return 1;
+  }
+  return 1 - dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Splits a PCD stream into stable harmonic regions.
+ *
+ * Frames are compared with the mean PCD of the region so far. A region ends
+ * when frames stay further than `threshold` (cosine distance) from that mean
+ * for `changeSeconds`, or when the input falls silent; the deviating frames
+ * open the next region. Only regions lasting `minDuration` become segments:
+ * `segmentstart` fires once a region reaches that length and `segmentend`
+ * when it ends, both with the averaged PCD, its DFT and the matching chord.
+ * Times are in the caller's clock, in seconds.
+ */
+export class HarmonicSegmenter {
+  constructor({
+    threshold = 0.2,
+    minDuration = 0.6,
+    changeSeconds = 0.12,
+    minLevel = 0.02,
+    maxSegments = 16,
+    chordRecognizer = new ChordRecognizer()
+  } = {}) {
+    this.options = { threshold, minDuration, changeSeconds, minLevel, maxSegments };
+    this.chordRecognizer = chordRecognizer;
+    this.region = null;
+    this.deviation = null;
+    this.segments = [];
+    this.listeners = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event).delete(handler);
+  }
+
+  fire(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => handler(payload));
+  }
+
+  /**
+   * @param {ArrayLike<number>} pcd - 12 pitch-class weights.
+   * @param {number} time - Seconds.
+   * @param {number} [level] - Input level 0…1; below `minLevel` counts as silence.
+   */
+  push(pcd, time, level = 1) {
+    let energy = 0;
+    for (let i = 0; i < 12; i += 1) {
+      energy += pcd[i];
+    }
+    if (energy <= 0 || level < this.options.minLevel) {
+      this.endRegion(time);
+      return;
+    }
+
+    if (!this.region) {
+      this.region = this.createRegion(time);
+    }
+    const region = this.region;
+    if (region.frames > 0 && pcdDistance(pcd, region.mean) > this.options.threshold) {
+      if (!this.deviation) {
+        this.deviation = this.createRegion(time);
+      }
+      this.accumulate(this.deviation, pcd, time);
+      if (time - this.deviation.start >= this.options.changeSeconds) {
+        const next = this.deviation;
+        this.deviation = null;
+        this.endRegion(next.start);
+        this.region = next;
+        this.checkStarted(next, time);
+      }
+      return;
+    }
+
+    // Short excursions are noise: drop them and keep averaging the region.
+    this.deviation = null;
+    this.accumulate(region, pcd, time);
+    this.checkStarted(region, time);
+  }
+
+  createRegion(start) {
+    return {
+      start,
+      end: start,
+      frames: 0,
+      sum: new Float32Array(12),
+      mean: new Float32Array(12),
+      started: false
+    };
+  }
+
+  accumulate(region, pcd, time) {
+    region.frames += 1;
+    region.end = time;
+    let total = 0;
+    for (let i = 0; i < 12; i += 1) {
+      region.sum[i] += pcd[i];
+      total += region.sum[i];
+    }
+    for (let i = 0; i < 12; i += 1) {
+      region.mean[i] = total > 0 ? region.sum[i] / total : 0;
+    }
+  }
+
+  checkStarted(region, time) {
+    if (region.started || time - region.start < this.options.minDuration) return;
+    region.started = true;
+    this.fire('segmentstart', this.describe(region, null));
+  }
+
+  endRegion(time) {
+    const region = this.region;
+    this.region = null;
+    this.deviation = null;
+    if (!region?.started) return;
+
+    const segment = this.describe(region, time);
+    this.segments.push(segment);
+    if (this.segments.length > this.options.maxSegments) {
+      this.segments.shift();
+    }
+    this.fire('segmentend', segment);
+  }
+
+  /**
+   * @returns {{ start: number, end: number | null, duration: number, pcd: Float32Array,
+   *   dft: { amplitudes: Float32Array, phases: Float32Array }, chord: object | null }}
+   */
+  describe(region, end) {
+    const pcd = Float32Array.from(region.mean);
+    const { amplitudes, phases } = pcdToFrequencyDomain(pcd);
+    const until = end ?? region.end;
+    return {
+      start: region.start,
+      end,
+      duration: Math.max(0, until - region.start),
+      pcd,
+      dft: { amplitudes, phases },
+      chord: this.chordRecognizer?.recognize(pcd) ?? null
+    };
+  }
+
+  /** The region being tracked, once it is long enough to count as a segment. */
+  getCurrentSegment() {
+    return this.region?.started ? this.describe(this.region, null) : null;
+  }
+
+  /** Ends the open segment, e.g. when the input source changes. */
+  flush(time) {
+    this.endRegion(time);
+  }
+
+  reset() {
+    this.region = null;
+    this.deviation = null;
+    this.segments = [];
+  }
+}
@@ -0,0 +1,143 @@
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Krumhansl–Kessler probe-tone profiles, indexed from the tonic.
+ */
+export const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+function centre(values) {
+  let mean = 0;
+  for (let i = 0; i < values.length; i += 1) {
+    mean += values[i];
+  }
+  mean /= values.length;
+  let norm = 0;
+  const centred = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i += 1) {
+    centred[i] = values[i] - mean;
+    norm += centred[i] * centred[i];
+  }
+  return { centred, norm: Math.sqrt(norm) };
+}
+
+function buildKeyTemplates() {
+  const templates = [];
+  ['major', 'minor'].forEach((mode) => {
+    const profile = KEY_PROFILES[mode];
+    for (let tonic = 0; tonic < 12; tonic += 1) {
+      const rotated = new Float32Array(12);
+      for (let i = 0; i < 12; i += 1) {
+        rotated[(tonic + i) % 12] = profile[i];
+      }
+      const { centred, norm } = centre(rotated);
+      templates.push({
+        label: `${PITCH_CLASS_NAMES[tonic]} ${mode}`,
+        tonic,
+        mode,
+        weights: centred,
+        norm
+      });
+    }
+  });
+  return templates;
+}
+
+/**
+ * Estimates the prevailing key from a stream of PCD frames. Frames are folded
+ * into an exponentially decaying average (half-life in seconds) which is then
+ * correlated (Pearson) against the 24 major/minor profiles.
+ *
+ * The reported key only switches when a rival key beats it by `switchMargin`,
+ * so short borrowed chords do not flip the readout back and forth.
+ */
+export class KeyEstimator {
+  constructor({ halfLife = 12, minCorrelation = 0.5, switchMargin = 0.05 } = {}) {
+    this.halfLife = Math.max(0.1, halfLife);
+    this.minCorrelation = minCorrelation;
+    this.switchMargin = Math.max(0, switchMargin);
+    this.templates = buildKeyTemplates();
+    this.average = new Float32Array(12);
+    this.weight = 0;
+    this.current = null;
+  }
+
+  reset() {
+    this.average.fill(0);
+    this.weight = 0;
+    this.current = null;
+  }
+
+  /**
+   * Adds one PCD frame covering `dt` seconds and re-evaluates the key.
+   * @param {ArrayLike<number>} pcd
+   * @param {number} dt
+   * @returns {{ key: object | null, changed: boolean, previous: object | null }}
+   */
+  push(pcd, dt) {
+    const decay = Math.pow(0.5, Math.max(0, dt) / this.halfLife);
+    for (let i = 0; i < 12; i += 1) {
+      this.average[i] = this.average[i] * decay + (pcd[i] ?? 0) * (1 - decay);
+    }
+    this.weight = this.weight * decay + (1 - decay);
+
+    const previous = this.current;
+    const next = this.evaluate();
+    if (!next) {
+      this.current = null;
+    } else if (!previous || next.label === previous.label) {
+      this.current = next;
+    } else {
+      const incumbent = next.scores[previous.index];
+      this.current = next.correlation - incumbent >= this.switchMargin
+        ? next
+        : { ...previous, correlation: incumbent, scores: next.scores };
+    }
+
+    const changed = (previous?.label ?? null) !== (this.current?.label ?? null);
+    return { key: this.current, changed, previous };
+  }
+
+  evaluate() {
+    if (this.weight <= 1e-6) {
+      return null;
+    }
+    const { centred, norm } = centre(this.average);
+    if (norm <= 1e-9) {
+      return null;
+    }
+
+    const scores = new Float32Array(this.templates.length);
+    let bestIndex = 0;
+    for (let t = 0; t < this.templates.length; t += 1) {
+      const template = this.templates[t];
+      let dot = 0;
+      for (let i = 0; i < 12; i += 1) {
+        dot += centred[i] * template.weights[i];
+      }
+      scores[t] = dot / (norm * template.norm);
+      if (scores[t] > scores[bestIndex]) {
+        bestIndex = t;
+      }
+    }
+
+    if (scores[bestIndex] < this.minCorrelation) {
+      return null;
+    }
+    const best = this.templates[bestIndex];
+    return {
+      label: best.label,
+      tonic: best.tonic,
+      mode: best.mode,
+      index: bestIndex,
+      correlation: scores[bestIndex],
+      scores
+    };
+  }
+
+  getKey() {
+    return this.current;
+  }
+}
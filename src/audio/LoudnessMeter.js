@@ -0,0 +1,196 @@
+const FLOOR_DB = -100;
+const BLOCK_SECONDS = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+
+function toDb(amplitude) {
+  return amplitude > 0 ? Math.max(FLOOR_DB, 20 * Math.log10(amplitude)) : FLOOR_DB;
+}
+
+function meanSquareToLufs(meanSquare) {
+  return meanSquare > 0 ? Math.max(FLOOR_DB, -0.691 + 10 * Math.log10(meanSquare)) : FLOOR_DB;
+}
+
+/**
+ * Coefficients of the two K-weighting stages of ITU-R BS.1770 (high shelf,
+ * then high-pass) for any sample rate, as derived in libebur128.
+ * @returns {Array<{ b: number[], a: number[] }>}
+ */
+export function kWeightingCoefficients(sampleRate) {
+  let f0 = 1681.974450955533;
+  const gain = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / sampleRate);
+  const vh = 10 ** (gain / 20);
+  const vb = vh ** 0.4996667741545416;
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+    a: [1, (2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+  };
+
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [1, (2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+  };
+  return [shelf, highPass];
+}
+
+class Biquad {
+  constructor({ b, a }) {
+    this.b = b;
+    this.a = a;
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+
+  process(x) {
+    const y = this.b[0] * x + this.z1;
+    this.z1 = this.b[1] * x - this.a[1] * y + this.z2;
+    this.z2 = this.b[2] * x - this.a[2] * y;
+    return y;
+  }
+
+  reset() {
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+}
+
+/**
+ * Sample-accurate level meter for one channel.
+ *
+ * - Peak: sample peak with instant attack and a linear fall of
+ *   `peakFallDbPerSecond` (20 dB in 1.7 s, as on IEC 60268-18 PPMs), plus a
+ *   peak hold that stays for `peakHoldSeconds`.
+ * - RMS: exponential mean square with `rmsTimeConstant` (300 ms, VU-like
+ *   ballistics). A full-scale sine reads −3 dBFS.
+ * - Clipping: every run of samples at or above `clipThreshold` counts once.
+ * - Loudness: K-weighted mean square over 400 ms (momentary) and 3 s
+ *   (short-term), in LUFS, ungated as BS.1770 specifies for these windows.
+ *
+ * Levels are in dB and bottom out at −100.
+ */
+export class LoudnessMeter {
+  constructor({
+    sampleRate = 44100,
+    peakFallDbPerSecond = 20 / 1.7,
+    peakHoldSeconds = 2,
+    rmsTimeConstant = 0.3,
+    clipThreshold = 0.999
+  } = {}) {
+    this.options = { peakFallDbPerSecond, peakHoldSeconds, rmsTimeConstant, clipThreshold };
+    this.blockEnergies = new Float64Array(SHORT_TERM_BLOCKS);
+    this.setSampleRate(sampleRate);
+  }
+
+  setSampleRate(sampleRate) {
+    this.sampleRate = sampleRate > 0 ? sampleRate : 44100;
+    this.filters = kWeightingCoefficients(this.sampleRate).map((stage) => new Biquad(stage));
+    this.blockLength = Math.round(BLOCK_SECONDS * this.sampleRate);
+    this.rmsAlpha = 1 - Math.exp(-1 / (this.options.rmsTimeConstant * this.sampleRate));
+    this.reset();
+  }
+
+  reset() {
+    this.filters.forEach((filter) => filter.reset());
+    this.meanSquare = 0;
+    this.peakDb = FLOOR_DB;
+    this.peakHoldDb = FLOOR_DB;
+    this.peakHoldAge = 0;
+    this.clipCount = 0;
+    this.clipping = false;
+    this.lastClipTime = null;
+    this.time = 0;
+    this.blockEnergies.fill(0);
+    this.blockIndex = 0;
+    this.blocksFilled = 0;
+    this.blockSum = 0;
+    this.blockSamples = 0;
+  }
+
+  resetClipCount() {
+    this.clipCount = 0;
+    this.lastClipTime = null;
+  }
+
+  /**
+   * @param {Float32Array} samples - One block of raw samples.
+   */
+  process(samples) {
+    const { clipThreshold } = this.options;
+    const [shelf, highPass] = this.filters;
+    let blockPeak = 0;
+    for (let i = 0; i < samples.length; i += 1) {
+      const sample = samples[i];
+      const magnitude = Math.abs(sample);
+      if (magnitude > blockPeak) blockPeak = magnitude;
+
+      if (magnitude >= clipThreshold) {
+        if (!this.clipping) {
+          this.clipCount += 1;
+          this.lastClipTime = this.time + i / this.sampleRate;
+        }
+        this.clipping = true;
+      } else {
+        this.clipping = false;
+      }
+
+      this.meanSquare += (sample * sample - this.meanSquare) * this.rmsAlpha;
+
+      const weighted = highPass.process(shelf.process(sample));
+      this.blockSum += weighted * weighted;
+      this.blockSamples += 1;
+      if (this.blockSamples >= this.blockLength) {
+        this.blockEnergies[this.blockIndex] = this.blockSum / this.blockSamples;
+        this.blockIndex = (this.blockIndex + 1) % SHORT_TERM_BLOCKS;
+        this.blocksFilled = Math.min(SHORT_TERM_BLOCKS, this.blocksFilled + 1);
+        this.blockSum = 0;
+        this.blockSamples = 0;
+      }
+    }
+
+    const duration = samples.length / this.sampleRate;
+    this.time += duration;
+    const fallen = this.peakDb - this.options.peakFallDbPerSecond * duration;
+    this.peakDb = Math.max(toDb(blockPeak), fallen, FLOOR_DB);
+
+    this.peakHoldAge += duration;
+    if (this.peakDb >= this.peakHoldDb || this.peakHoldAge > this.options.peakHoldSeconds) {
+      this.peakHoldDb = this.peakDb;
+      this.peakHoldAge = 0;
+    }
+  }
+
+  /** Mean of the last `count` completed 100 ms blocks. */
+  averageBlocks(count) {
+    const available = Math.min(count, this.blocksFilled);
+    if (available === 0) return 0;
+    let sum = 0;
+    for (let i = 1; i <= available; i += 1) {
+      sum += this.blockEnergies[(this.blockIndex - i + SHORT_TERM_BLOCKS) % SHORT_TERM_BLOCKS];
+    }
+    return sum / available;
+  }
+
+  /**
+   * @returns {{ peakDb: number, peakHoldDb: number, rmsDb: number, momentaryLufs: number,
+   *   shortTermLufs: number, clipCount: number, lastClipTime: number | null, time: number }}
+   */
+  getReading() {
+    return {
+      peakDb: this.peakDb,
+      peakHoldDb: this.peakHoldDb,
+      rmsDb: toDb(Math.sqrt(this.meanSquare)),
+      momentaryLufs: meanSquareToLufs(this.averageBlocks(MOMENTARY_BLOCKS)),
+      shortTermLufs: meanSquareToLufs(this.averageBlocks(SHORT_TERM_BLOCKS)),
+      clipCount: this.clipCount,
+      lastClipTime: this.lastClipTime,
+      time: this.time
+    };
+  }
+}
@@ -0,0 +1,181 @@
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const CC_SUSTAIN = 64;
+const CC_ALL_SOUND_OFF = 120;
+const CC_ALL_NOTES_OFF = 123;
+
+/**
+ * Web MIDI note tracker that turns held notes into a 12-bin PCD.
+ *
+ * Every connected input is listened to. A note counts while its key is down
+ * or, after note-off, while the sustain pedal (CC 64) of its channel is held.
+ * Each note adds `velocity / 127` to its pitch class; the PCD is normalised to
+ * sum to 1 like the analysed microphone PCD.
+ */
+export class MidiInput {
+  constructor({ requestAccess = null } = {}) {
+    this.requestAccess = requestAccess ?? (() => navigator.requestMIDIAccess());
+    this.access = null;
+    this.inputs = new Set();
+    this.notes = new Map();
+    this.pedals = new Array(16).fill(false);
+    this.status = 'idle';
+    this.errorMessage = null;
+    this.listeners = new Map();
+    this.handleMidiMessage = (event) => this.handleMessage(event.data);
+    this.handleStateChange = () => this.refreshInputs();
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event).delete(handler);
+  }
+
+  fire(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => handler(payload));
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  async start() {
+    if (this.status === 'active' || this.status === 'requesting') {
+      return;
+    }
+    this.status = 'requesting';
+    this.errorMessage = null;
+    try {
+      this.access = await this.requestAccess();
+    } catch (error) {
+      this.status = 'error';
+      this.errorMessage = error?.message ?? 'MIDI access denied';
+      throw error;
+    }
+    this.access.addEventListener?.('statechange', this.handleStateChange);
+    this.status = 'active';
+    this.refreshInputs();
+  }
+
+  stop() {
+    this.inputs.forEach((input) => input.removeEventListener('midimessage', this.handleMidiMessage));
+    this.inputs.clear();
+    this.access?.removeEventListener?.('statechange', this.handleStateChange);
+    this.access = null;
+    this.reset();
+    this.status = 'idle';
+  }
+
+  /** Re-attaches to the connected inputs after a (dis)connect. */
+  refreshInputs() {
+    if (!this.access) return;
+    const connected = new Set();
+    this.access.inputs.forEach((input) => {
+      if (input.state === 'disconnected') return;
+      connected.add(input);
+      if (!this.inputs.has(input)) {
+        input.addEventListener('midimessage', this.handleMidiMessage);
+      }
+    });
+    this.inputs.forEach((input) => {
+      if (!connected.has(input)) {
+        input.removeEventListener('midimessage', this.handleMidiMessage);
+      }
+    });
+    this.inputs = connected;
+    this.fire('inputschange', { inputs: this.getInputNames() });
+  }
+
+  getInputNames() {
+    return Array.from(this.inputs, (input) => input.name || 'MIDI input');
+  }
+
+  reset() {
+    this.notes.clear();
+    this.pedals.fill(false);
+  }
+
+  /**
+   * Applies one raw MIDI message.
+   * @param {ArrayLike<number>} data - Status byte followed by data bytes.
+   */
+  handleMessage(data) {
+    if (!data || data.length < 3) return;
+    const type = data[0] & 0xf0;
+    const channel = data[0] & 0x0f;
+    const key = channel * 128 + data[1];
+
+    if (type === NOTE_ON && data[2] > 0) {
+      this.notes.set(key, { note: data[1], channel, velocity: data[2], held: true });
+      this.fire('noteon', { note: data[1], channel, velocity: data[2] });
+    } else if (type === NOTE_OFF || type === NOTE_ON) {
+      const entry = this.notes.get(key);
+      if (!entry) return;
+      if (this.pedals[channel]) {
+        entry.held = false;
+      } else {
+        this.notes.delete(key);
+      }
+      this.fire('noteoff', { note: data[1], channel });
+    } else if (type === CONTROL_CHANGE) {
+      if (data[1] === CC_SUSTAIN) {
+        const down = data[2] >= 64;
+        this.pedals[channel] = down;
+        if (!down) {
+          this.releaseChannel(channel, false);
+        }
+      } else if (data[1] === CC_ALL_NOTES_OFF || data[1] === CC_ALL_SOUND_OFF) {
+        this.releaseChannel(channel, true);
+      }
+    }
+  }
+
+  releaseChannel(channel, includeHeld) {
+    this.notes.forEach((entry, key) => {
+      if (entry.channel === channel && (includeHeld || !entry.held)) {
+        this.notes.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Writes the PCD of the sounding notes into `out`.
+   * @param {Float32Array} out - 12 slots.
+   * @returns {number} Loudest sounding velocity as 0…1 (0 when silent).
+   */
+  computePcd(out) {
+    out.fill(0);
+    let sum = 0;
+    let peak = 0;
+    this.notes.forEach(({ note, velocity }) => {
+      const weight = velocity / 127;
+      out[note % 12] += weight;
+      sum += weight;
+      peak = Math.max(peak, weight);
+    });
+    if (sum > 0) {
+      const inv = 1 / sum;
+      for (let i = 0; i < 12; i += 1) {
+        out[i] *= inv;
+      }
+    }
+    return peak;
+  }
+
+  getStatusDescription() {
+    if (this.status === 'active') {
+      const count = this.inputs.size;
+      return count > 0 ? `${count} input${count === 1 ? '' : 's'}` : 'no inputs';
+    }
+    if (this.status === 'error') {
+      return `error: ${this.errorMessage}`;
+    }
+    return this.status;
+  }
+}
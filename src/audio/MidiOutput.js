@@ -0,0 +1,222 @@
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const CC_ALL_NOTES_OFF = 123;
+
+/** How note velocities are chosen. */
+export const MIDI_VELOCITY_MODES = [
+  { id: 'fixed', label: 'Fixed' },
+  { id: 'level', label: 'Audio level' }
+];
+
+/**
+ * Stand-in for a Web MIDI output port that keeps every message it is sent,
+ * so MIDI output can be exercised without a device or browser support.
+ */
+export class MockMidiOutput {
+  constructor({ name = 'Mock output', onMessage = null } = {}) {
+    this.id = 'mock';
+    this.name = name;
+    this.state = 'connected';
+    this.onMessage = onMessage;
+    this.messages = [];
+  }
+
+  send(data, timestamp = 0) {
+    const message = { data: Array.from(data), timestamp };
+    this.messages.push(message);
+    this.onMessage?.(message);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+function clampChannel(channel) {
+  return Math.min(16, Math.max(1, Math.round(channel) || 1));
+}
+
+/**
+ * Sends pitch classes to a Web MIDI output (or a `MockMidiOutput`).
+ *
+ * Pitch classes are played in the octave starting at MIDI note
+ * `12 * (octave + 1)`. Channels are 1–16 as shown on synths. Two streams are
+ * kept apart: notes triggered by interaction on `channel`, and the dominant
+ * pitch class of the analysis on `streamChannel`.
+ *
+ * Sounding notes are reference-counted, so a note held by two callers (both
+ * hands on one waypoint, or a waypoint and the stream) only stops when the
+ * last of them releases it. A port that throws on `send` (e.g. unplugged) is
+ * dropped and reported through `onPortLost(port, error)`.
+ */
+export class MidiOutput {
+  constructor({
+    requestAccess = null,
+    channel = 1,
+    streamChannel = channel,
+    octave = 4,
+    velocity = {},
+    streamThreshold = 0.15,
+    onPortLost = null
+  } = {}) {
+    this.requestAccess = requestAccess ?? (() => navigator.requestMIDIAccess());
+    this.access = null;
+    this.port = null;
+    this.channel = clampChannel(channel);
+    this.streamChannel = clampChannel(streamChannel);
+    this.octave = Math.min(8, Math.max(-1, Math.round(octave)));
+    this.velocity = {
+      mode: 'fixed',
+      value: 100,
+      min: 30,
+      max: 127,
+      ...velocity
+    };
+    this.streamThreshold = streamThreshold;
+    this.streamNote = null;
+    // channel * 128 + note → number of holders.
+    this.activeNotes = new Map();
+    this.onPortLost = onPortLost;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * @returns {Promise<object[]>} Connected Web MIDI output ports.
+   */
+  async listPorts() {
+    if (!this.access) {
+      this.access = await this.requestAccess();
+    }
+    const ports = [];
+    this.access.outputs.forEach((port) => {
+      if (port.state !== 'disconnected') {
+        ports.push(port);
+      }
+    });
+    return ports;
+  }
+
+  /** Switches the destination port; notes still sounding on the old one are released. */
+  setPort(port) {
+    if (this.port === port) return;
+    this.allNotesOff();
+    this.port = port;
+  }
+
+  setVelocityMode(mode) {
+    this.velocity.mode = MIDI_VELOCITY_MODES.some((entry) => entry.id === mode) ? mode : 'fixed';
+  }
+
+  /**
+   * @param {number} [level] - Analysis level 0…1, used by the 'level' mode.
+   * @returns {number} Velocity 1…127.
+   */
+  velocityFor(level = 1) {
+    const { mode, value, min, max } = this.velocity;
+    const velocity = mode === 'level'
+      ? min + (max - min) * Math.min(1, Math.max(0, level))
+      : value;
+    return Math.min(127, Math.max(1, Math.round(velocity)));
+  }
+
+  pitchClassToNote(pitchClass) {
+    return Math.min(127, 12 * (this.octave + 1) + (((pitchClass % 12) + 12) % 12));
+  }
+
+  send(bytes) {
+    const port = this.port;
+    if (!port) return false;
+    try {
+      port.send(bytes);
+    } catch (error) {
+      this.port = null;
+      this.activeNotes.clear();
+      this.streamNote = null;
+      this.onPortLost?.(port, error instanceof Error ? error : new Error(String(error)));
+      return false;
+    }
+    return true;
+  }
+
+  noteOn(note, velocity, channel = this.channel) {
+    const key = channel * 128 + note;
+    if (this.send([NOTE_ON | (channel - 1), note, velocity])) {
+      this.activeNotes.set(key, (this.activeNotes.get(key) ?? 0) + 1);
+    }
+  }
+
+  noteOff(note, channel = this.channel) {
+    const key = channel * 128 + note;
+    const holders = this.activeNotes.get(key) ?? 0;
+    if (holders > 1) {
+      this.activeNotes.set(key, holders - 1);
+      return;
+    }
+    this.activeNotes.delete(key);
+    this.send([NOTE_OFF | (channel - 1), note, 0]);
+  }
+
+  /**
+   * Starts one note per pitch class, e.g. for a pinched waypoint.
+   * @param {number[]} pitchClasses
+   * @param {number} [level]
+   * @returns {{ notes: number[], channel: number } | null} Pass to `release`.
+   */
+  playPitchClasses(pitchClasses, level = 1) {
+    if (!this.port || pitchClasses.length === 0) return null;
+    const velocity = this.velocityFor(level);
+    const notes = pitchClasses.map((pitchClass) => this.pitchClassToNote(pitchClass));
+    notes.forEach((note) => this.noteOn(note, velocity, this.channel));
+    return { notes, channel: this.channel };
+  }
+
+  release(handle) {
+    if (!handle) return;
+    handle.notes.forEach((note) => this.noteOff(note, handle.channel));
+  }
+
+  /**
+   * Follows the dominant pitch class of a PCD on `streamChannel`: a new note
+   * whenever it changes, silence while `level` is below `streamThreshold`.
+   * @param {ArrayLike<number> | null} pcd - Pass null to stop the stream.
+   * @param {number} level
+   */
+  updateStream(pcd, level = 0) {
+    let dominant = -1;
+    if (pcd && level >= this.streamThreshold) {
+      let peak = 0;
+      for (let i = 0; i < 12; i += 1) {
+        if (pcd[i] > peak) {
+          peak = pcd[i];
+          dominant = i;
+        }
+      }
+    }
+
+    const note = dominant >= 0 ? this.pitchClassToNote(dominant) : null;
+    if (note === this.streamNote) return;
+    if (this.streamNote !== null) {
+      this.noteOff(this.streamNote, this.streamChannel);
+    }
+    this.streamNote = note;
+    if (note !== null) {
+      this.noteOn(note, this.velocityFor(level), this.streamChannel);
+    }
+  }
+
+  allNotesOff() {
+    const keys = Array.from(this.activeNotes.keys());
+    this.activeNotes.clear();
+    keys.forEach((key) => {
+      this.send([NOTE_OFF | (Math.floor(key / 128) - 1), key % 128, 0]);
+    });
+    this.streamNote = null;
+    new Set([this.channel, this.streamChannel]).forEach((channel) => {
+      this.send([CONTROL_CHANGE | (channel - 1), CC_ALL_NOTES_OFF, 0]);
+    });
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Background-noise estimate for spectral subtraction ahead of the PCD.
+ *
+ * Two estimates can be combined:
+ * - a calibrated profile, the mean magnitude spectrum of a few seconds of
+ *   room noise captured on request;
+ * - an adaptive floor that drops to quiet bins immediately and rises only
+ *   slowly (`riseTime` seconds), so sustained hum is learnt while notes are
+ *   not.
+ * `subtract` removes `overSubtraction` × the larger of the two per bin.
+ */
+export class NoiseProfile {
+  constructor({
+    calibrationSeconds = 3,
+    overSubtraction = 1.5,
+    adaptive = false,
+    riseTime = 8
+  } = {}) {
+    this.calibrationSeconds = Math.max(0.5, calibrationSeconds);
+    this.overSubtraction = Math.max(0, overSubtraction);
+    this.adaptive = Boolean(adaptive);
+    this.riseTime = Math.max(0.5, riseTime);
+    this.profile = null;
+    this.floor = null;
+    this.accumulator = null;
+    this.state = 'none';
+    this.elapsed = 0;
+    this.frames = 0;
+  }
+
+  /** Whether the caller must provide a spectrum even for gated (quiet) frames. */
+  needsSpectrum() {
+    return this.state === 'calibrating' || this.adaptive;
+  }
+
+  startCalibration(seconds = this.calibrationSeconds) {
+    this.calibrationSeconds = Math.max(0.5, seconds);
+    this.state = 'calibrating';
+    this.elapsed = 0;
+    this.frames = 0;
+    this.accumulator = null;
+  }
+
+  clear() {
+    this.profile = null;
+    this.accumulator = null;
+    this.state = 'none';
+    this.elapsed = 0;
+    this.frames = 0;
+  }
+
+  setAdaptive(enabled) {
+    this.adaptive = Boolean(enabled);
+    if (!this.adaptive) {
+      this.floor = null;
+    }
+  }
+
+  /**
+   * Feeds one magnitude spectrum into calibration and the adaptive floor.
+   * @param {Float32Array} magnitudes
+   * @param {number} dt - Seconds covered by this frame.
+   * @returns {boolean} True on the frame that completes a calibration.
+   */
+  observe(magnitudes, dt) {
+    const length = magnitudes.length;
+    let completed = false;
+
+    if (this.state === 'calibrating') {
+      if (!this.accumulator || this.accumulator.length !== length) {
+        this.accumulator = new Float32Array(length);
+      }
+      for (let k = 0; k < length; k += 1) {
+        this.accumulator[k] += magnitudes[k];
+      }
+      this.frames += 1;
+      this.elapsed += dt;
+      if (this.elapsed >= this.calibrationSeconds) {
+        const inv = 1 / this.frames;
+        this.profile = this.accumulator;
+        for (let k = 0; k < length; k += 1) {
+          this.profile[k] *= inv;
+        }
+        this.accumulator = null;
+        this.state = 'calibrated';
+        completed = true;
+      }
+    }
+
+    if (this.adaptive) {
+      if (!this.floor || this.floor.length !== length) {
+        this.floor = this.profile && this.profile.length === length
+          ? Float32Array.from(this.profile)
+          : Float32Array.from(magnitudes);
+      }
+      const rise = Math.min(1, dt / this.riseTime);
+      for (let k = 0; k < length; k += 1) {
+        const value = magnitudes[k];
+        const current = this.floor[k];
+        this.floor[k] = value < current ? value : current + (value - current) * rise;
+      }
+    }
+
+    return completed;
+  }
+
+  /** Whether `subtract` would change anything. */
+  isActive() {
+    return Boolean((this.state === 'calibrated' && this.profile) || (this.adaptive && this.floor));
+  }
+
+  /**
+   * Writes `magnitudes` minus the noise estimate (clamped at zero) into `out`.
+   * @param {Float32Array} magnitudes
+   * @param {Float32Array} out
+   * @returns {Float32Array} `out`
+   */
+  subtract(magnitudes, out) {
+    const length = magnitudes.length;
+    const profile = this.state === 'calibrated' && this.profile?.length === length ? this.profile : null;
+    const floor = this.adaptive && this.floor?.length === length ? this.floor : null;
+    const factor = this.overSubtraction;
+    for (let k = 0; k < length; k += 1) {
+      const noise = Math.max(profile ? profile[k] : 0, floor ? floor[k] : 0);
+      const value = magnitudes[k] - factor * noise;
+      out[k] = value > 0 ? value : 0;
+    }
+    return out;
+  }
+
+  /**
+   * @returns {{ state: string, progress: number, adaptive: boolean }}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      progress: this.state === 'calibrating'
+        ? Math.min(1, this.elapsed / this.calibrationSeconds)
+        : this.state === 'calibrated' ? 1 : 0,
+      adaptive: this.adaptive
+    };
+  }
+}
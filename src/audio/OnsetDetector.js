@@ -0,0 +1,113 @@
+/**
+ * Spectral-flux onset detector. Each hop the log-compressed magnitude
+ * spectrum is compared with the previous one and the positive differences
+ * are summed; an onset is reported when that flux is a local peak above an
+ * adaptive threshold (median of the recent flux plus an offset).
+ *
+ * Peaks are confirmed one hop late, so reported onset times lag the audio by
+ * a single hop.
+ */
+export class OnsetDetector {
+  constructor({
+    minHz = 30,
+    maxHz = 8000,
+    compression = 100,
+    historySize = 24,
+    thresholdOffset = 0.05,
+    thresholdScale = 1.5,
+    minInterval = 0.08
+  } = {}) {
+    this.minHz = minHz;
+    this.maxHz = maxHz;
+    this.compression = compression;
+    this.thresholdOffset = thresholdOffset;
+    this.thresholdScale = thresholdScale;
+    this.minInterval = minInterval;
+    this.history = new Float32Array(Math.max(3, historySize));
+    this.sorted = new Float32Array(this.history.length);
+    this.previous = null;
+    this.reset();
+  }
+
+  reset() {
+    this.history.fill(0);
+    this.historyIndex = 0;
+    this.previous?.fill(0);
+    this.hasPrevious = false;
+    this.lastFlux = 0;
+    this.prevFlux = 0;
+    this.lastOnsetTime = -Infinity;
+  }
+
+  /**
+   * @param {Float32Array | null} magnitudes - FFT magnitudes, or null for a silent hop.
+   * @param {number} sampleRate
+   * @param {number} time - Stream time of this hop in seconds.
+   * @param {number} hopDuration - Seconds between hops.
+   * @returns {{ flux: number, onset: { time: number, strength: number } | null }}
+   */
+  push(magnitudes, sampleRate, time, hopDuration) {
+    const flux = magnitudes ? this.computeFlux(magnitudes, sampleRate) : 0;
+    if (!magnitudes) {
+      // A silent hop is a zero spectrum, so an attack out of silence yields
+      // its full flux on the next hop.
+      this.previous?.fill(0);
+      this.hasPrevious = true;
+    }
+
+    // The previous hop is a peak if it beats both neighbours and the threshold.
+    const candidate = this.lastFlux;
+    const threshold = this.thresholdScale * this.median() + this.thresholdOffset;
+    let onset = null;
+    const candidateTime = time - hopDuration;
+    if (
+      candidate > threshold &&
+      candidate >= this.prevFlux &&
+      candidate > flux &&
+      candidateTime - this.lastOnsetTime >= this.minInterval
+    ) {
+      onset = { time: candidateTime, strength: candidate - threshold };
+      this.lastOnsetTime = candidateTime;
+    }
+
+    this.history[this.historyIndex] = flux;
+    this.historyIndex = (this.historyIndex + 1) % this.history.length;
+    this.prevFlux = this.lastFlux;
+    this.lastFlux = flux;
+    return { flux, onset };
+  }
+
+  computeFlux(magnitudes, sampleRate) {
+    const binHz = sampleRate / (magnitudes.length * 2);
+    const kMin = Math.max(1, Math.floor(this.minHz / binHz));
+    const kMax = Math.min(magnitudes.length - 1, Math.floor(this.maxHz / binHz));
+    if (!this.previous || this.previous.length !== magnitudes.length) {
+      // A fresh buffer is all zero: right after silence, wrong after a
+      // spectrum of another size.
+      if (this.previous) {
+        this.hasPrevious = false;
+      }
+      this.previous = new Float32Array(magnitudes.length);
+    }
+
+    let flux = 0;
+    for (let k = kMin; k <= kMax; k += 1) {
+      const value = Math.log1p(this.compression * magnitudes[k]);
+      const diff = value - this.previous[k];
+      if (diff > 0) flux += diff;
+      this.previous[k] = value;
+    }
+    if (!this.hasPrevious) {
+      this.hasPrevious = true;
+      return 0;
+    }
+    // Normalise by band width so the threshold does not depend on FFT size.
+    return (flux * 100) / Math.max(1, kMax - kMin + 1);
+  }
+
+  median() {
+    this.sorted.set(this.history);
+    this.sorted.sort();
+    return this.sorted[this.sorted.length >> 1];
+  }
+}
@@ -1,10 +1,19 @@
+import { findSpectralPeaks } from './spectralPeaks.js';
+
 /**
  * Utility responsible for converting FFT magnitudes into a 12-bin pitch class
  * distribution. The implementation caches the bin→pitch-class mapping and
  * reuses the output buffer between frames to avoid allocations.
+ *
+ * Two modes are available through `options.mode`:
+ * - `'bins'` (default) rounds every bin to its nearest semitone.
+ * - `'hpcp'` works on interpolated spectral peaks, spreads each peak over the
+ *   neighbouring pitch classes with a cos² window and credits harmonics back
+ *   to the class of their fundamental (Gómez-style HPCP).
  */
 export class PitchClassComputer {
   constructor() {
+    this.peaks = [];
     this.lookupTable = null;
     this.prevSampleRate = 0;
     this.prevA4 = 0;
@@ -52,13 +61,22 @@ export class PitchClassComputer {
    * @param {number} options.pcdThreshold
    * @param {number} options.pcdNormalize
    * @param {number} options.refA4
+   * @param {'bins'|'hpcp'} [options.mode='bins']
    * @returns {Float32Array} Reference to the internal output buffer.
    */
   compute(magnitudes, sampleRate, options) {
-    const { minHz, maxHz, pcdThreshold, pcdNormalize, refA4 } = options;
-    this.ensureLookup(magnitudes.length, sampleRate, refA4);
-
     this.output.fill(0);
+    if (options.mode === 'hpcp') {
+      this.accumulateHpcp(magnitudes, sampleRate, options);
+    } else {
+      this.accumulateBins(magnitudes, sampleRate, options);
+    }
+    return this.normalizeOutput(options.pcdNormalize);
+  }
+
+  accumulateBins(magnitudes, sampleRate, options) {
+    const { minHz, maxHz, pcdThreshold, refA4 } = options;
+    this.ensureLookup(magnitudes.length, sampleRate, refA4);
 
     const binHz = sampleRate / (magnitudes.length * 2);
     const minBin = Math.max(1, Math.floor(minHz / binHz));
@@ -71,7 +89,60 @@ export class PitchClassComputer {
         this.output[pitchClass] += mag * mag;
       }
     }
+  }
+
+  /**
+   * @param {object} options
+   * @param {number} [options.hpcpHarmonics=4] - Partials credited to a fundamental.
+   * @param {number} [options.hpcpHarmonicDecay=0.6] - Weight ratio between successive harmonics.
+   * @param {number} [options.hpcpWindow=4/3] - Width of the cos² window in semitones.
+   * @param {number} [options.hpcpMaxPeaks=48]
+   */
+  accumulateHpcp(magnitudes, sampleRate, options) {
+    const {
+      minHz,
+      maxHz,
+      pcdThreshold,
+      refA4,
+      hpcpHarmonics = 4,
+      hpcpHarmonicDecay = 0.6,
+      hpcpWindow = 4 / 3,
+      hpcpMaxPeaks = 48
+    } = options;
+
+    const peaks = findSpectralPeaks(
+      magnitudes,
+      sampleRate,
+      { minHz, maxHz, threshold: pcdThreshold, maxPeaks: hpcpMaxPeaks },
+      this.peaks
+    );
+    const halfWindow = Math.max(0.5, hpcpWindow) / 2;
+    const harmonics = Math.max(1, Math.floor(hpcpHarmonics));
+    const log2A4 = Math.log2(refA4);
+
+    for (let p = 0; p < peaks.length; p += 1) {
+      const { freq, magnitude } = peaks[p];
+      const energy = magnitude * magnitude;
+      let harmonicWeight = 1;
+      for (let h = 1; h <= harmonics; h += 1) {
+        const fundamental = freq / h;
+        if (fundamental < minHz) break;
+        const semitone = 12 * (Math.log2(fundamental) - log2A4) + 9;
+        const nearest = Math.round(semitone);
+        // A window wider than one semitone touches the neighbouring classes too.
+        for (let offset = -1; offset <= 1; offset += 1) {
+          const distance = Math.abs(semitone - (nearest + offset));
+          if (distance >= halfWindow) continue;
+          const w = Math.cos((Math.PI / 2) * (distance / halfWindow));
+          const pitchClass = (((nearest + offset) % 12) + 12) % 12;
+          this.output[pitchClass] += energy * harmonicWeight * w * w;
+        }
+        harmonicWeight *= hpcpHarmonicDecay;
+      }
+    }
+  }
 
+  normalizeOutput(pcdNormalize) {
     let sum = 0;
     if (pcdNormalize !== 1) {
       for (let i = 0; i < 12; i += 1) {
@@ -0,0 +1,135 @@
+import { frequencyToNote } from './primaryDetection.js';
+
+const DEFAULT_OPTIONS = {
+  minHz: 65,
+  maxHz: 1100,
+  integrationSize: 1024,
+  // pYIN's Beta(2, 18) prior over YIN thresholds (mean 0.1).
+  thresholdAlpha: 2,
+  thresholdBeta: 18,
+  minProbability: 0.5
+};
+
+const THRESHOLD_STEPS = 100;
+
+function betaDistribution(alpha, beta, steps) {
+  const weights = new Float64Array(steps);
+  let sum = 0;
+  for (let i = 0; i < steps; i += 1) {
+    const t = (i + 0.5) / steps;
+    weights[i] = t ** (alpha - 1) * (1 - t) ** (beta - 1);
+    sum += weights[i];
+  }
+  // Cumulative form: cdf[i] is the prior mass of thresholds below i / steps.
+  const cdf = new Float64Array(steps + 1);
+  for (let i = 0; i < steps; i += 1) {
+    cdf[i + 1] = cdf[i] + weights[i] / sum;
+  }
+  return cdf;
+}
+
+/**
+ * Monophonic f0 tracker after YIN (de Cheveigné & Kawahara 2002) with the
+ * threshold distribution of pYIN (Mauch & Dixon 2014).
+ *
+ * Each trough of the cumulative mean normalised difference d′(τ) is the YIN
+ * answer for a range of thresholds: those above d′(τ) but not above any
+ * earlier trough. Weighting thresholds by a Beta prior turns that into a
+ * probability per candidate period; their sum is the voicing probability.
+ * Unlike pYIN there is no HMM smoothing across frames.
+ *
+ * Works on the raw (unwindowed) time-domain frame and needs at least
+ * `integrationSize + sampleRate / minHz` samples of it.
+ */
+export class PitchTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.thresholdCdf = betaDistribution(this.options.thresholdAlpha, this.options.thresholdBeta, THRESHOLD_STEPS);
+    this.difference = new Float32Array(0);
+  }
+
+  /** Samples needed at `sampleRate`; pass the newest this many to `detect`. */
+  getFrameLength(sampleRate) {
+    return this.options.integrationSize + Math.ceil(sampleRate / this.options.minHz) + 2;
+  }
+
+  priorBelow(threshold) {
+    const position = Math.min(THRESHOLD_STEPS, Math.max(0, threshold * THRESHOLD_STEPS));
+    const index = Math.floor(position);
+    if (index >= THRESHOLD_STEPS) return 1;
+    const fraction = position - index;
+    return this.thresholdCdf[index] + fraction * (this.thresholdCdf[index + 1] - this.thresholdCdf[index]);
+  }
+
+  /**
+   * @param {Float32Array} frame - Newest samples, oldest first.
+   * @param {number} sampleRate
+   * @param {number} [refA4]
+   * @returns {{ f0: number, probability: number, voiced: boolean, midi: number,
+   *   nearestMidi: number, cents: number, pitchClass: number } | null}
+   *   Null when no period candidate was found at all.
+   */
+  detect(frame, sampleRate, refA4 = 440) {
+    const { minHz, maxHz, minProbability } = this.options;
+    const tauMin = Math.max(2, Math.floor(sampleRate / maxHz));
+    const tauMax = Math.min(Math.ceil(sampleRate / minHz), frame.length - 2);
+    const size = Math.min(this.options.integrationSize, frame.length - tauMax - 1);
+    if (size < 32 || tauMax <= tauMin) {
+      return null;
+    }
+
+    if (this.difference.length < tauMax + 2) {
+      this.difference = new Float32Array(tauMax + 2);
+    }
+    const d = this.difference;
+    const offset = frame.length - size - tauMax - 1;
+
+    // Difference function d(τ) over `size` samples, then cumulative mean normalisation.
+    d[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= tauMax + 1; tau += 1) {
+      let sum = 0;
+      for (let j = 0; j < size; j += 1) {
+        const delta = frame[offset + j] - frame[offset + j + tau];
+        sum += delta * delta;
+      }
+      runningSum += sum;
+      d[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+    }
+
+    let bestTau = -1;
+    let bestMass = 0;
+    let totalMass = 0;
+    let lowestSoFar = Infinity;
+    for (let tau = tauMin; tau <= tauMax; tau += 1) {
+      if (!(d[tau] < d[tau - 1] && d[tau] <= d[tau + 1])) continue;
+      if (d[tau] < lowestSoFar) {
+        const mass = this.priorBelow(lowestSoFar) - this.priorBelow(d[tau]);
+        totalMass += mass;
+        if (mass > bestMass) {
+          bestMass = mass;
+          bestTau = tau;
+        }
+        lowestSoFar = d[tau];
+      }
+    }
+    if (bestTau < 0) {
+      return null;
+    }
+
+    // Parabolic interpolation of the trough for sub-sample period resolution.
+    const left = d[bestTau - 1];
+    const right = d[bestTau + 1];
+    const denominator = left - 2 * d[bestTau] + right;
+    const shift = denominator > 0 ? (0.5 * (left - right)) / denominator : 0;
+    const f0 = sampleRate / (bestTau + Math.max(-0.5, Math.min(0.5, shift)));
+    const probability = Math.min(1, totalMass);
+
+    return {
+      f0,
+      probability,
+      voiced: probability >= minProbability,
+      ...frequencyToNote(f0, refA4)
+    };
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Radix-2 FFT for real-valued signals with persistent buffers so streaming
+ * analysis does not allocate per frame. After `transform()` the complex
+ * spectrum remains available in `real`/`imag` for callers that need phase.
+ */
+export class RealFFT {
+  constructor() {
+    this.size = 0;
+    this.real = null;
+    this.imag = null;
+    this.magnitudes = null;
+    this.bitRevTable = null;
+  }
+
+  /**
+   * Ensures the internal buffers are sized for the requested FFT length.
+   * @param {number} size - FFT size (power of two).
+   */
+  ensureSize(size) {
+    if (this.size === size) return;
+    this.size = size;
+    this.real = new Float32Array(size);
+    this.imag = new Float32Array(size);
+    this.magnitudes = new Float32Array(size / 2);
+    this.bitRevTable = new Uint32Array(size);
+
+    let j = 0;
+    for (let i = 1; i < size; i += 1) {
+      let bit = size >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      this.bitRevTable[i] = j;
+    }
+  }
+
+  /**
+   * Transforms the provided signal, zero-padding to the next power of two.
+   * @param {Float32Array} signal
+   * @returns {Float32Array} View into the internal magnitude buffer (size / 2 bins).
+   */
+  transform(signal) {
+    let size = 1;
+    while (size < signal.length) size <<= 1;
+    this.ensureSize(size);
+
+    const { real, imag } = this;
+    real.fill(0);
+    imag.fill(0);
+    real.set(signal);
+
+    for (let i = 1; i < size; i += 1) {
+      const j = this.bitRevTable[i];
+      if (i < j) {
+        const tmp = real[i];
+        real[i] = real[j];
+        real[j] = tmp;
+      }
+    }
+
+    for (let len = 2; len <= size; len <<= 1) {
+      const angle = (-2 * Math.PI) / len;
+      const wlenRe = Math.cos(angle);
+      const wlenIm = Math.sin(angle);
+      const halfLen = len >> 1;
+      for (let i = 0; i < size; i += len) {
+        let wRe = 1;
+        let wIm = 0;
+        for (let k = 0; k < halfLen; k += 1) {
+          const a = i + k;
+          const b = a + halfLen;
+          const vRe = real[b] * wRe - imag[b] * wIm;
+          const vIm = real[b] * wIm + imag[b] * wRe;
+          real[b] = real[a] - vRe;
+          imag[b] = imag[a] - vIm;
+          real[a] += vRe;
+          imag[a] += vIm;
+
+          const nextWRe = wRe * wlenRe - wIm * wlenIm;
+          wIm = wRe * wlenIm + wIm * wlenRe;
+          wRe = nextWRe;
+        }
+      }
+    }
+
+    const half = size >> 1;
+    for (let i = 0; i < half; i += 1) {
+      this.magnitudes[i] = Math.hypot(real[i], imag[i]);
+    }
+    return this.magnitudes;
+  }
+}
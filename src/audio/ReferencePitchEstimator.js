@@ -0,0 +1,90 @@
+import { findSpectralPeaks } from './spectralPeaks.js';
+
+const BASE_A4 = 440;
+
+/**
+ * Tracks how far strong spectral peaks sit from the equal-tempered grid and
+ * turns the average deviation into a reference pitch for A4.
+ *
+ * Deviations are measured against a fixed 440 Hz grid (not the reference in
+ * use) so applying the estimate does not feed back into the measurement.
+ * Cents wrap at ±50, so they are averaged as angles on a 100-cent circle,
+ * weighted by peak energy and decayed with a half-life in seconds. The
+ * confidence combines the circular concentration with how much evidence has
+ * been collected.
+ */
+export class ReferencePitchEstimator {
+  constructor({
+    halfLife = 8,
+    minHz = 100,
+    maxHz = 2000,
+    maxPeaks = 8,
+    threshold = 0.004,
+    evidence = 0.05
+  } = {}) {
+    this.halfLife = Math.max(0.1, halfLife);
+    this.minHz = minHz;
+    this.maxHz = maxHz;
+    this.maxPeaks = maxPeaks;
+    this.threshold = threshold;
+    this.evidence = evidence;
+    this.peaks = [];
+    this.reset();
+  }
+
+  reset() {
+    this.sumCos = 0;
+    this.sumSin = 0;
+    this.weight = 0;
+    this.estimate = null;
+  }
+
+  /**
+   * @param {Float32Array} magnitudes - FFT magnitudes (1/N scaled).
+   * @param {number} sampleRate
+   * @param {number} dt - Seconds covered by this frame.
+   * @returns {{ refA4: number, cents: number, confidence: number } | null}
+   */
+  push(magnitudes, sampleRate, dt) {
+    const decay = Math.pow(0.5, Math.max(0, dt) / this.halfLife);
+    this.sumCos *= decay;
+    this.sumSin *= decay;
+    this.weight *= decay;
+
+    const peaks = findSpectralPeaks(
+      magnitudes,
+      sampleRate,
+      { minHz: this.minHz, maxHz: this.maxHz, threshold: this.threshold, maxPeaks: this.maxPeaks },
+      this.peaks
+    );
+    for (let i = 0; i < peaks.length; i += 1) {
+      const { freq, magnitude } = peaks[i];
+      const semitones = 12 * Math.log2(freq / BASE_A4);
+      const cents = (semitones - Math.round(semitones)) * 100;
+      const angle = (cents / 100) * Math.PI * 2;
+      const energy = magnitude * magnitude;
+      this.sumCos += energy * Math.cos(angle);
+      this.sumSin += energy * Math.sin(angle);
+      this.weight += energy;
+    }
+
+    if (this.weight <= 1e-12) {
+      this.estimate = null;
+      return null;
+    }
+
+    const cents = (Math.atan2(this.sumSin, this.sumCos) / (Math.PI * 2)) * 100;
+    const concentration = Math.hypot(this.sumCos, this.sumSin) / this.weight;
+    const saturation = this.weight / (this.weight + this.evidence * this.evidence);
+    this.estimate = {
+      refA4: BASE_A4 * 2 ** (cents / 1200),
+      cents,
+      confidence: concentration * saturation
+    };
+    return this.estimate;
+  }
+
+  getEstimate() {
+    return this.estimate;
+  }
+}
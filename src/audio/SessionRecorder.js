@@ -0,0 +1,130 @@
+export const SESSION_FORMAT = 'vrtor-session';
+export const SESSION_VERSION = 1;
+
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function roundArray(values, digits) {
+  return Array.from(values, (value) => round(value, digits));
+}
+
+/**
+ * Collects analysis frames from `AudioVolumeMonitor.update()` into a session
+ * that can be exported as JSON (for SessionReplay) or CSV (for spreadsheets).
+ *
+ * `update()` is polled every render frame but only changes once per hop, so
+ * frames are keyed on the monitor's `frame` counter and duplicates skipped.
+ * Timestamps are seconds since recording started, on the audio stream clock.
+ */
+export class SessionRecorder {
+  constructor({ precision = 5 } = {}) {
+    this.precision = precision;
+    this.recording = false;
+    this.frames = [];
+    this.meta = null;
+    this.startTime = 0;
+    this.lastFrameId = null;
+  }
+
+  /**
+   * @param {object} [meta] - Free-form details stored with the session (source label, hop size…).
+   */
+  start(meta = {}) {
+    this.frames = [];
+    this.meta = { ...meta, recordedAt: new Date().toISOString() };
+    this.startTime = null;
+    this.lastFrameId = null;
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+    return this.getSession();
+  }
+
+  /**
+   * Adds an analysis frame if it is new.
+   * @param {object} levels - Result of AudioVolumeMonitor.update().
+   * @returns {boolean} Whether the frame was stored.
+   */
+  record(levels) {
+    if (!this.recording || !levels || levels.frame === undefined || levels.frame === this.lastFrameId) {
+      return false;
+    }
+    this.lastFrameId = levels.frame;
+    if (this.startTime === null) {
+      this.startTime = levels.time ?? 0;
+    }
+    const digits = this.precision;
+    this.frames.push({
+      t: round((levels.time ?? 0) - this.startTime, 4),
+      level: round(levels.level ?? 0, digits),
+      rms: round(levels.rms ?? 0, digits),
+      pcd: roundArray(levels.pcd ?? [], digits),
+      amplitudes: roundArray(levels.dft?.amplitudes ?? [], digits),
+      phases: roundArray(levels.dft?.phases ?? [], digits),
+      // Set by sources without an input signal (scores) while notes play.
+      ...(levels.sounding ? { sounding: true } : {})
+    });
+    return true;
+  }
+
+  getDuration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+  }
+
+  getSession() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      meta: this.meta ?? {},
+      frames: this.frames
+    };
+  }
+
+  toJSON() {
+    return JSON.stringify(this.getSession());
+  }
+
+  toCSV() {
+    const header = [
+      't',
+      'level',
+      'rms',
+      ...Array.from({ length: 12 }, (_, i) => `pcd${i}`),
+      ...Array.from({ length: 7 }, (_, k) => `amp${k}`),
+      ...Array.from({ length: 7 }, (_, k) => `pha${k}`)
+    ];
+    const rows = this.frames.map((frame) => [
+      frame.t,
+      frame.level,
+      frame.rms,
+      ...frame.pcd,
+      ...frame.amplitudes,
+      ...frame.phases
+    ].join(','));
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Saves the session through a temporary download link.
+   * @param {'json'|'csv'} format
+   * @param {string} [filename]
+   */
+  download(format = 'json', filename = null) {
+    const isCsv = format === 'csv';
+    const blob = new Blob([isCsv ? this.toCSV() : this.toJSON()], {
+      type: isCsv ? 'text/csv' : 'application/json'
+    });
+    const stamp = (this.meta?.recordedAt ?? new Date().toISOString()).replace(/[:.]/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename ?? `vrtor-session-${stamp}.${isCsv ? 'csv' : 'json'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+}
@@ -0,0 +1,148 @@
+import { SESSION_FORMAT } from './SessionRecorder.js';
+
+function isNumberArray(values, length) {
+  return Array.isArray(values) && values.length === length && values.every(Number.isFinite);
+}
+
+/** Why a recorded frame cannot be replayed, or null when it is usable. */
+function frameProblem(frame) {
+  if (!frame || typeof frame !== 'object') return 'is not an object';
+  if (!Number.isFinite(frame.t)) return 'has no numeric t';
+  if (!Number.isFinite(frame.level) || !Number.isFinite(frame.rms)) return 'has no numeric level/rms';
+  if (!isNumberArray(frame.pcd, 12)) return 'needs 12 pcd values';
+  if (!isNumberArray(frame.amplitudes, 7)) return 'needs 7 amplitudes';
+  if (!isNumberArray(frame.phases, 7)) return 'needs 7 phases';
+  return null;
+}
+
+/**
+ * Plays back a recorded session in place of live analysis. `update(delta)`
+ * advances the playhead by `delta * speed` seconds and returns a frame in the
+ * same shape as `AudioVolumeMonitor.update()`, so the render loop can use
+ * either interchangeably.
+ */
+export class SessionReplay {
+  constructor({ speed = 1, loop = true } = {}) {
+    this.speed = speed;
+    this.loop = loop;
+    this.session = null;
+    this.label = 'Replay';
+    this.playing = false;
+    this.position = 0;
+    this.cursor = 0;
+    this.output = {
+      level: 0,
+      rms: 0,
+      sounding: false,
+      pcd: new Float32Array(12),
+      dft: { amplitudes: new Float32Array(7), phases: new Float32Array(7) },
+      primary: null,
+      chord: null,
+      key: null,
+      reference: null,
+      rhythm: null,
+      frame: -1,
+      time: 0
+    };
+  }
+
+  /**
+   * @param {object | string} data - Parsed session or its JSON text.
+   * @param {string} [label]
+   */
+  load(data, label = null) {
+    const session = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.frames)) {
+      throw new Error('Not a VRTOR session file');
+    }
+    if (session.frames.length === 0) {
+      throw new Error('Session contains no frames');
+    }
+    // Checked up front: a bad frame would otherwise throw on every render frame.
+    session.frames.forEach((frame, index) => {
+      const problem = frameProblem(frame);
+      if (problem) {
+        throw new Error(`Session frame ${index} ${problem}`);
+      }
+    });
+    this.session = session;
+    this.label = label ?? session.meta?.source ?? 'Replay';
+    this.rewind();
+    return this;
+  }
+
+  async loadFile(file) {
+    return this.load(await file.text(), file.name);
+  }
+
+  getDuration() {
+    const frames = this.session?.frames ?? [];
+    return frames.length > 0 ? frames[frames.length - 1].t : 0;
+  }
+
+  play() {
+    if (!this.session) return;
+    this.playing = true;
+  }
+
+  stop() {
+    this.playing = false;
+  }
+
+  rewind() {
+    this.position = 0;
+    this.cursor = 0;
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.max(0.05, speed);
+  }
+
+  setLoop(loop) {
+    this.loop = Boolean(loop);
+  }
+
+  /**
+   * @param {number} delta - Render-loop seconds since the last call.
+   * @returns {object} Analysis frame at the playhead.
+   */
+  update(delta) {
+    const frames = this.session?.frames ?? [];
+    if (frames.length === 0) {
+      return this.output;
+    }
+
+    if (this.playing) {
+      this.position += delta * this.speed;
+      const duration = this.getDuration();
+      if (this.position > duration) {
+        if (this.loop && duration > 0) {
+          this.position %= duration;
+          this.cursor = 0;
+        } else {
+          this.position = duration;
+          this.playing = false;
+        }
+      }
+    }
+
+    while (this.cursor + 1 < frames.length && frames[this.cursor + 1].t <= this.position) {
+      this.cursor += 1;
+    }
+
+    const frame = frames[this.cursor];
+    const { output } = this;
+    output.level = frame.level;
+    output.rms = frame.rms;
+    output.sounding = frame.sounding === true;
+    output.pcd.fill(0);
+    output.pcd.set(frame.pcd.slice(0, 12));
+    output.dft.amplitudes.fill(0);
+    output.dft.amplitudes.set(frame.amplitudes.slice(0, 7));
+    output.dft.phases.fill(0);
+    output.dft.phases.set(frame.phases.slice(0, 7));
+    output.frame = this.cursor;
+    output.time = frame.t;
+    return output;
+  }
+}
@@ -0,0 +1,148 @@
+const DEFAULT_OPTIONS = {
+  baseHz: 32.7032,
+  octaves: 8,
+  centerHz: 330,
+  octaveSpread: 1.4,
+  gain: 0.18,
+  attack: 0.06,
+  release: 0.45
+};
+
+/**
+ * Plays a 12-bin PCD as Shepard tones: every pitch class is one oscillator
+ * whose PeriodicWave only has octave partials (harmonics 1, 2, 4, 8…), each
+ * weighted by a bell curve over log-frequency so the tone has no clear
+ * octave.
+ *
+ * The synth owns its own AudioContext and connects straight to its
+ * destination, so it is never part of AudioVolumeMonitor's graph. Its
+ * speaker output can still reach the microphone, though: callers analysing
+ * the mic should hold their results while `isAudible()`.
+ */
+export class ShepardSynth {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.audioContext = null;
+    this.master = null;
+    this.voices = [];
+    this.playing = false;
+    // Bumped by every noteOn/noteOff, so a noteOn still waiting for its
+    // context can tell that it was released (or superseded) meanwhile.
+    this.noteGeneration = 0;
+    // Context time at which the last release has died away.
+    this.releaseEnd = 0;
+  }
+
+  /**
+   * Bell-curve amplitudes for the octave partials of pitch class `pitchClass`.
+   * Index `2 ** o` of the returned array is the weight of octave `o`.
+   */
+  createShepardWave(audioContext, pitchClass) {
+    const { baseHz, octaves, centerHz, octaveSpread } = this.options;
+    const fundamental = baseHz * 2 ** (pitchClass / 12);
+    const size = 2 ** (octaves - 1) + 1;
+    const real = new Float32Array(size);
+    const imag = new Float32Array(size);
+    for (let o = 0; o < octaves; o += 1) {
+      const freq = fundamental * 2 ** o;
+      const distance = Math.log2(freq / centerHz) / octaveSpread;
+      imag[2 ** o] = Math.exp(-0.5 * distance * distance);
+    }
+    return audioContext.createPeriodicWave(real, imag, { disableNormalization: false });
+  }
+
+  async ensureContext() {
+    if (this.audioContext) {
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+      return;
+    }
+    const AudioContextConstructor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextConstructor) {
+      throw new Error('Web Audio API is not available');
+    }
+    this.audioContext = new AudioContextConstructor({ latencyHint: 'interactive' });
+    this.master = this.audioContext.createGain();
+    this.master.gain.value = 0;
+    this.master.connect(this.audioContext.destination);
+
+    const { baseHz } = this.options;
+    for (let pitchClass = 0; pitchClass < 12; pitchClass += 1) {
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.setPeriodicWave(this.createShepardWave(this.audioContext, pitchClass));
+      oscillator.frequency.value = baseHz * 2 ** (pitchClass / 12);
+      const level = this.audioContext.createGain();
+      level.gain.value = 0;
+      oscillator.connect(level).connect(this.master);
+      oscillator.start();
+      this.voices.push({ oscillator, level });
+    }
+  }
+
+  /**
+   * Sets the pitch-class weights (any scale; they are normalised to the
+   * loudest class) with a short glide.
+   * @param {ArrayLike<number>} pcd
+   */
+  setPcd(pcd, glide = 0.04) {
+    if (!this.audioContext) return;
+    let peak = 0;
+    for (let i = 0; i < 12; i += 1) {
+      peak = Math.max(peak, pcd[i] ?? 0);
+    }
+    const inv = peak > 0 ? 1 / peak : 0;
+    const now = this.audioContext.currentTime;
+    this.voices.forEach(({ level }, index) => {
+      level.gain.setTargetAtTime(Math.max(0, (pcd[index] ?? 0) * inv), now, glide);
+    });
+  }
+
+  async noteOn(pcd = null) {
+    this.noteGeneration += 1;
+    const generation = this.noteGeneration;
+    await this.ensureContext();
+    if (generation !== this.noteGeneration) {
+      return;
+    }
+    if (pcd) {
+      this.setPcd(pcd, 0.005);
+    }
+    const now = this.audioContext.currentTime;
+    this.master.gain.cancelScheduledValues(now);
+    this.master.gain.setTargetAtTime(this.options.gain, now, this.options.attack / 3);
+    this.playing = true;
+  }
+
+  noteOff() {
+    this.noteGeneration += 1;
+    if (!this.audioContext || !this.playing) return;
+    const now = this.audioContext.currentTime;
+    this.master.gain.cancelScheduledValues(now);
+    this.master.gain.setTargetAtTime(0, now, this.options.release / 3);
+    this.playing = false;
+    this.releaseEnd = now + this.options.release;
+  }
+
+  /** True while a note sounds or its release tail has not yet faded. */
+  isAudible() {
+    if (this.playing) return true;
+    return this.audioContext !== null && this.audioContext.currentTime < this.releaseEnd;
+  }
+
+  dispose() {
+    this.voices.forEach(({ oscillator, level }) => {
+      try { oscillator.stop(); } catch {}
+      try { oscillator.disconnect(); } catch {}
+      try { level.disconnect(); } catch {}
+    });
+    this.voices = [];
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+    this.master = null;
+    this.playing = false;
+    this.noteGeneration += 1;
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Estimates tempo and beat phase from an onset-strength envelope sampled once
+ * per analysis hop.
+ *
+ * Every `updateInterval` seconds the envelope is autocorrelated over the lag
+ * range for `minBpm`…`maxBpm`, weighted by a log-normal prior centred on
+ * `preferredBpm`, and the beat phase is chosen by a comb over the last few
+ * periods. Between updates beats are predicted from that grid, so `push`
+ * can report a beat on the hop it falls in.
+ */
+export class TempoTracker {
+  constructor({
+    minBpm = 60,
+    maxBpm = 180,
+    preferredBpm = 120,
+    priorWidth = 1,
+    historySeconds = 8,
+    updateInterval = 0.5,
+    minConfidence = 0.1
+  } = {}) {
+    this.minBpm = minBpm;
+    this.maxBpm = Math.max(minBpm + 1, maxBpm);
+    this.preferredBpm = preferredBpm;
+    this.priorWidth = priorWidth;
+    this.historySeconds = historySeconds;
+    this.updateInterval = updateInterval;
+    this.minConfidence = minConfidence;
+    this.hopDuration = 0;
+    this.envelope = null;
+    this.reset();
+  }
+
+  reset() {
+    this.envelope?.fill(0);
+    this.writeIndex = 0;
+    this.count = 0;
+    this.sinceUpdate = 0;
+    this.bpm = 0;
+    this.confidence = 0;
+    this.period = 0;
+    this.nextBeat = Infinity;
+    this.lastBeat = -Infinity;
+    this.beatIndex = 0;
+  }
+
+  ensureBuffer(hopDuration) {
+    if (this.envelope && Math.abs(this.hopDuration - hopDuration) < 1e-9) {
+      return;
+    }
+    this.hopDuration = hopDuration;
+    this.envelope = new Float32Array(Math.max(16, Math.ceil(this.historySeconds / hopDuration)));
+    this.reset();
+  }
+
+  /** Envelope value `age` hops ago (fractional ages are interpolated). */
+  sample(age) {
+    const length = this.envelope.length;
+    const base = Math.floor(age);
+    const frac = age - base;
+    const index = (this.writeIndex - 1 - base + length * 2) % length;
+    const older = (index - 1 + length) % length;
+    return this.envelope[index] * (1 - frac) + this.envelope[older] * frac;
+  }
+
+  /**
+   * @param {number} strength - Onset strength (e.g. spectral flux) for this hop.
+   * @param {number} time - Stream time of this hop in seconds.
+   * @param {number} hopDuration - Seconds between hops.
+   * @returns {{ time: number, bpm: number, index: number } | null} A beat if one falls in this hop.
+   */
+  push(strength, time, hopDuration) {
+    this.ensureBuffer(hopDuration);
+    this.envelope[this.writeIndex] = strength;
+    this.writeIndex = (this.writeIndex + 1) % this.envelope.length;
+    this.count = Math.min(this.count + 1, this.envelope.length);
+
+    this.sinceUpdate += hopDuration;
+    if (this.sinceUpdate >= this.updateInterval && this.count >= this.envelope.length / 2) {
+      this.sinceUpdate = 0;
+      this.estimate(time);
+    }
+
+    if (this.period <= 0 || time < this.nextBeat) {
+      return null;
+    }
+    this.lastBeat = this.nextBeat;
+    this.nextBeat += this.period;
+    this.beatIndex += 1;
+    return { time: this.lastBeat, bpm: this.bpm, index: this.beatIndex };
+  }
+
+  estimate(time) {
+    const hop = this.hopDuration;
+    const minLag = Math.max(2, Math.floor(60 / this.maxBpm / hop));
+    const maxLag = Math.min(this.count - 2, Math.ceil(60 / this.minBpm / hop));
+    if (maxLag <= minLag + 1) return;
+
+    let mean = 0;
+    for (let i = 0; i < this.count; i += 1) {
+      mean += this.sample(i);
+    }
+    mean /= this.count;
+
+    const acf = new Float32Array(maxLag + 2);
+    for (let lag = 0; lag <= maxLag + 1; lag += 1) {
+      let sum = 0;
+      for (let i = 0; i + lag < this.count; i += 1) {
+        sum += (this.sample(i) - mean) * (this.sample(i + lag) - mean);
+      }
+      acf[lag] = sum / (this.count - lag);
+    }
+    if (acf[0] <= 1e-9) {
+      this.clearTempo();
+      return;
+    }
+
+    let bestLag = 0;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag += 1) {
+      const bpm = 60 / (lag * hop);
+      const octaves = Math.log2(bpm / this.preferredBpm) / this.priorWidth;
+      const score = acf[lag] * Math.exp(-0.5 * octaves * octaves);
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    const confidence = acf[bestLag] / acf[0];
+    if (confidence < this.minConfidence) {
+      this.clearTempo();
+      return;
+    }
+
+    const a = acf[bestLag - 1];
+    const b = acf[bestLag];
+    const c = acf[bestLag + 1];
+    const denom = a - 2 * b + c;
+    const delta = denom < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+    const periodHops = bestLag + delta;
+
+    // Comb over the last few periods to find the beat phase.
+    let bestPhase = 0;
+    let bestComb = -Infinity;
+    const periods = Math.max(1, Math.floor((this.count - 1) / periodHops) - 1);
+    for (let phase = 0; phase < periodHops; phase += 1) {
+      let comb = 0;
+      for (let m = 0; m < Math.min(4, periods); m += 1) {
+        comb += this.sample(phase + m * periodHops);
+      }
+      if (comb > bestComb) {
+        bestComb = comb;
+        bestPhase = phase;
+      }
+    }
+
+    this.period = periodHops * hop;
+    this.bpm = 60 / this.period;
+    this.confidence = confidence;
+
+    let next = time - bestPhase * hop + this.period;
+    // Do not re-fire a beat that was just reported when the grid shifts slightly.
+    if (next - this.lastBeat < this.period * 0.5) next += this.period;
+    this.nextBeat = next;
+  }
+
+  clearTempo() {
+    this.bpm = 0;
+    this.confidence = 0;
+    this.period = 0;
+    this.nextBeat = Infinity;
+  }
+
+  /**
+   * @param {number} time - Current stream time.
+   * @returns {number} Position within the current beat (0 on the beat, → 1 before the next).
+   */
+  getPhase(time) {
+    if (this.period <= 0 || !Number.isFinite(this.lastBeat)) return 0;
+    const phase = (time - this.lastBeat) / this.period;
+    return Math.min(1, Math.max(0, phase));
+  }
+}
@@ -0,0 +1,79 @@
+import { AnalysisEngine } from './AnalysisEngine.js';
+
+/**
+ * Module worker hosting an `AnalysisEngine` for `AudioVolumeMonitor`.
+ *
+ * Messages in:
+ * - `{ type: 'init', config, sampleRate }` – builds the engine;
+ * - `{ type: 'connect', port }` – MessagePort the worklet tap posts its
+ *   sample blocks to;
+ * - `{ type: 'samples', samples }` – a sample block sent through the worker
+ *   itself instead;
+ * - `{ type: 'reset', sampleRate }`;
+ * - `{ type: 'call', method, args }` – one of `CONTROL_METHODS`.
+ *
+ * Messages out: `{ type: 'result', result, packed }` after every analysed
+ * block, with PCD, DFT amplitudes and DFT phases packed into one transferred
+ * Float32Array (12 + 7 + 7 values), and `{ type: 'event', event, payload }`.
+ */
+
+const CONTROL_METHODS = new Set([
+  'setSmoothing',
+  'lockReference',
+  'unlockReference',
+  'startNoiseCalibration',
+  'clearNoiseProfile',
+  'resetClipCount',
+  'setAdaptiveNoiseFloor',
+  'updatePcdOptions',
+  'updateTuner'
+]);
+
+let engine = null;
+let samplePort = null;
+
+function postResult() {
+  const { pcd, dft, ...result } = engine.getResult();
+  const packed = new Float32Array(26);
+  packed.set(pcd, 0);
+  packed.set(dft.amplitudes, 12);
+  packed.set(dft.phases, 19);
+  self.postMessage({ type: 'result', result, packed }, [packed.buffer]);
+}
+
+function handleSamples(samples) {
+  if (engine && engine.pushSamples(samples) > 0) {
+    postResult();
+  }
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      engine = new AnalysisEngine(data.config, {
+        onEvent: (event, payload) => self.postMessage({ type: 'event', event, payload })
+      });
+      engine.setSampleRate(data.sampleRate);
+      break;
+    case 'connect':
+      samplePort?.close();
+      samplePort = data.port;
+      samplePort.onmessage = (event) => handleSamples(event.data);
+      break;
+    case 'samples':
+      handleSamples(data.samples);
+      break;
+    case 'reset':
+      engine?.setSampleRate(data.sampleRate);
+      engine?.reset();
+      break;
+    case 'call':
+      if (engine && CONTROL_METHODS.has(data.method)) {
+        engine[data.method](...data.args);
+        postResult();
+      }
+      break;
+    default:
+      break;
+  }
+};
@@ -50,3 +50,115 @@ export function pcdToFrequencyDomain(pcdValues) {
 
   return { amplitudes, phases, normalizedInput: normalized };
 }
+
+const DFT_COEFFICIENTS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Music-theoretical reading of the coefficients k = 1…6 (Amiot, Yust): how
+ * strongly a PCD resembles the collection that maximises each amplitude.
+ */
+export const DFT_QUALITIES = [
+  { k: 1, label: 'Chromaticity', prototype: 'chromatic cluster' },
+  { k: 2, label: 'Dyadicity', prototype: 'tritone / quartal pairs' },
+  { k: 3, label: 'Triadicity', prototype: 'augmented triad, hexatonic' },
+  { k: 4, label: 'Octatonicity', prototype: 'diminished seventh, octatonic' },
+  { k: 5, label: 'Diatonicity', prototype: 'diatonic, pentatonic' },
+  { k: 6, label: 'Whole-tone', prototype: 'whole-tone scale' }
+];
+
+function assertSpectrum(values, name) {
+  if (!(Array.isArray(values) || ArrayBuffer.isView(values)) || values.length !== 7) {
+    throw new Error(`${name} must be an array-like collection of exactly 7 values (k = 0…6)`);
+  }
+}
+
+/**
+ * Contribution of a single coefficient k to pitch class t. Coefficients
+ * k = 1…5 stand for a conjugate pair and count twice; k = 0 and k = 6 do not.
+ */
+function coefficientTerm(k, amplitude, phase, t) {
+  const weight = k === 0 || k === 6 ? 1 : 2;
+  return (weight * amplitude * Math.cos((2 * Math.PI * k * t) / 12 + phase)) / 12;
+}
+
+/**
+ * Inverse DFT: rebuilds the 12-bin PCD from the k = 0…6 amplitudes/phases
+ * returned by `pcdToFrequencyDomain`. The result sums to 1 when the forward
+ * transform was given a non-silent PCD.
+ *
+ * @param {ArrayLike<number>} amplitudes - 7 amplitudes (k = 0…6).
+ * @param {ArrayLike<number>} phases - 7 phases in radians (k = 0…6).
+ * @returns {Float32Array} 12 pitch-class weights.
+ */
+export function frequencyDomainToPcd(amplitudes, phases) {
+  return reconstructPcd(amplitudes, phases);
+}
+
+/**
+ * Rebuilds a PCD from a chosen subset of coefficients, e.g. `[3, 5]` to see
+ * the triadic and diatonic shape on their own. Leave k = 0 in the subset to
+ * keep the mean level; without it the result oscillates around zero.
+ *
+ * @param {ArrayLike<number>} amplitudes - 7 amplitudes (k = 0…6).
+ * @param {ArrayLike<number>} phases - 7 phases in radians (k = 0…6).
+ * @param {object} [options]
+ * @param {number[]} [options.coefficients] - Coefficients to keep (default all).
+ * @param {boolean} [options.clampNegative] - Clip negative weights to zero.
+ * @param {boolean} [options.normalize] - Rescale the result to sum to 1.
+ * @returns {Float32Array} 12 pitch-class weights.
+ */
+export function reconstructPcd(
+  amplitudes,
+  phases,
+  { coefficients = DFT_COEFFICIENTS, clampNegative = false, normalize = false } = {}
+) {
+  assertSpectrum(amplitudes, 'Amplitudes');
+  assertSpectrum(phases, 'Phases');
+
+  const output = new Float32Array(12);
+  const ks = coefficients.filter((k) => Number.isInteger(k) && k >= 0 && k <= 6);
+  for (let t = 0; t < 12; t += 1) {
+    let value = 0;
+    for (let i = 0; i < ks.length; i += 1) {
+      const k = ks[i];
+      value += coefficientTerm(k, amplitudes[k], phases[k], t);
+    }
+    output[t] = clampNegative ? Math.max(0, value) : value;
+  }
+
+  if (normalize) {
+    let sum = 0;
+    for (let t = 0; t < 12; t += 1) {
+      sum += output[t];
+    }
+    if (sum > 0) {
+      const inv = 1 / sum;
+      for (let t = 0; t < 12; t += 1) {
+        output[t] *= inv;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Splits a spectrum into the per-coefficient waveforms that add up to the
+ * PCD, so each k can be displayed on its own.
+ *
+ * @param {ArrayLike<number>} amplitudes - 7 amplitudes (k = 0…6).
+ * @param {ArrayLike<number>} phases - 7 phases in radians (k = 0…6).
+ * @returns {Float32Array[]} Seven 12-element arrays, indexed by k.
+ */
+export function coefficientContributions(amplitudes, phases) {
+  assertSpectrum(amplitudes, 'Amplitudes');
+  assertSpectrum(phases, 'Phases');
+
+  return DFT_COEFFICIENTS.map((k) => {
+    const contribution = new Float32Array(12);
+    for (let t = 0; t < 12; t += 1) {
+      contribution[t] = coefficientTerm(k, amplitudes[k], phases[k], t);
+    }
+    return contribution;
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Estimates the dominant spectral peak within a frequency range, refined with
+ * parabolic interpolation. Returns null if the spectrum is effectively silent.
+ *
+ * @param {Float32Array} magnitudes - FFT magnitudes (half spectrum).
+ * @param {number} sampleRate
+ * @param {number} minHz
+ * @param {number} maxHz
+ * @returns {{ freq: number, kRef: number, prominenceDb: number } | null}
+ */
+export function estimatePrimary(magnitudes, sampleRate, minHz, maxHz) {
+  const halfSize = magnitudes.length;
+  const binHz = sampleRate / (halfSize * 2);
+  const kMin = Math.max(2, Math.floor(minHz / binHz));
+  const kMax = Math.min(halfSize - 3, Math.floor(maxHz / binHz));
+  if (kMax <= kMin) {
+    return null;
+  }
+
+  let maxVal = 0;
+  let k = kMin;
+  for (let i = kMin; i <= kMax; i += 1) {
+    const value = magnitudes[i];
+    if (value > maxVal) {
+      maxVal = value;
+      k = i;
+    }
+  }
+
+  if (maxVal < 1e-9) return null;
+
+  // Prominence is measured against every other bin in a ±10 bin neighbourhood
+  // so the main lobe of the window does not count as background.
+  const neighborhood = 10;
+  const from = Math.max(kMin, k - neighborhood);
+  const to = Math.min(kMax, k + neighborhood);
+
+  let sum = 0;
+  let count = 0;
+  for (let i = from; i <= to; i += 2) {
+    if (i !== k) {
+      sum += magnitudes[i];
+      count += 1;
+    }
+  }
+
+  const avgNeighbor = count > 0 ? sum / count : 0;
+  const prominenceDb = avgNeighbor > 0
+    ? 20 * Math.log10((maxVal + 1e-12) / (avgNeighbor + 1e-12))
+    : 0;
+
+  const a = magnitudes[k - 1];
+  const b = magnitudes[k];
+  const c = magnitudes[k + 1];
+  const denom = (a - 2 * b + c) || 1e-12;
+  const delta = (0.5 * (a - c)) / denom;
+  const kRef = k + Math.max(-1, Math.min(1, delta));
+  const freq = kRef * binHz;
+
+  return { freq, kRef, prominenceDb };
+}
+
+/**
+ * Converts a frequency into its nearest equal-tempered note.
+ * @param {number} freq
+ * @param {number} refA4
+ * @returns {{ midi: number, nearestMidi: number, cents: number, pitchClass: number }}
+ */
+export function frequencyToNote(freq, refA4 = 440) {
+  const midi = 69 + 12 * Math.log2(freq / refA4);
+  const nearestMidi = Math.round(midi);
+  return {
+    midi,
+    nearestMidi,
+    cents: (midi - nearestMidi) * 100,
+    pitchClass: ((nearestMidi % 12) + 12) % 12
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Picks local maxima from a magnitude spectrum and refines each with
+ * parabolic interpolation. Peaks are written into `out` (the array can be
+ * re-used between calls) sorted by descending magnitude and truncated to `maxPeaks`.
+ *
+ * @param {Float32Array} magnitudes - FFT magnitudes (half spectrum).
+ * @param {number} sampleRate
+ * @param {object} options
+ * @param {number} options.minHz
+ * @param {number} options.maxHz
+ * @param {number} [options.threshold=0] - Minimum bin magnitude.
+ * @param {number} [options.maxPeaks=64]
+ * @param {Array<{ freq: number, magnitude: number, bin: number }>} [out]
+ * @returns {Array<{ freq: number, magnitude: number, bin: number }>}
+ */
+export function findSpectralPeaks(magnitudes, sampleRate, options, out = []) {
+  const { minHz, maxHz, threshold = 0, maxPeaks = 64 } = options;
+  const binHz = sampleRate / (magnitudes.length * 2);
+  const kMin = Math.max(1, Math.ceil(minHz / binHz));
+  const kMax = Math.min(magnitudes.length - 2, Math.floor(maxHz / binHz));
+
+  let count = 0;
+  for (let k = kMin; k <= kMax; k += 1) {
+    const b = magnitudes[k];
+    if (b <= threshold) continue;
+    const a = magnitudes[k - 1];
+    const c = magnitudes[k + 1];
+    if (b < a || b <= c) continue;
+
+    const denom = a - 2 * b + c;
+    const delta = denom < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+    const peak = out[count] ?? (out[count] = { freq: 0, magnitude: 0, bin: 0 });
+    peak.bin = k + delta;
+    peak.freq = peak.bin * binHz;
+    peak.magnitude = b - 0.25 * (a - c) * delta;
+    count += 1;
+  }
+
+  out.length = count;
+  out.sort((p, q) => q.magnitude - p.magnitude);
+  if (out.length > maxPeaks) {
+    out.length = maxPeaks;
+  }
+  return out;
+}
@@ -0,0 +1,69 @@
+const TAP_PROCESSOR_NAME = 'vrtor-analysis-tap';
+
+// The tap forwards each 128-sample render quantum to whoever assembles the
+// analysis ring buffer: the main thread by default, or the MessagePort sent
+// as \`{ target }\` (the analysis worker). \`{ target: null }\` switches back.
+const WORKLET_SOURCE = `
+  class AnalysisTap extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      this.target = this.port;
+      this.port.onmessage = (event) => {
+        if (event.data && 'target' in event.data) {
+          this.target = event.data.target ?? this.port;
+        }
+      };
+    }
+
+    process(inputs) {
+      const channel = inputs[0] && inputs[0][0];
+      if (channel) {
+        const copy = channel.slice(0);
+        this.target.postMessage(copy, [copy.buffer]);
+      }
+      return true;
+    }
+  }
+  registerProcessor('${TAP_PROCESSOR_NAME}', AnalysisTap);
+`;
+
+let workletUrl = null;
+const loadedContexts = new WeakSet();
+
+function getWorkletUrl() {
+  if (!workletUrl) {
+    workletUrl = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'text/javascript' }));
+  }
+  return workletUrl;
+}
+
+/**
+ * Registers the analysis tap processor on the given context once.
+ * @param {BaseAudioContext} audioContext
+ */
+export async function ensureTapWorklet(audioContext) {
+  if (loadedContexts.has(audioContext)) {
+    return;
+  }
+  if (!audioContext.audioWorklet) {
+    throw new Error('AudioWorklet is not available in this browser');
+  }
+  await audioContext.audioWorklet.addModule(getWorkletUrl());
+  loadedContexts.add(audioContext);
+}
+
+/**
+ * Creates a mono tap node. Its output is silent and only needs to be connected
+ * (through a muted gain) so the audio graph keeps pulling the processor.
+ * @param {BaseAudioContext} audioContext
+ * @returns {AudioWorkletNode}
+ */
+export function createTapNode(audioContext) {
+  return new AudioWorkletNode(audioContext, TAP_PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    channelCount: 1,
+    channelCountMode: 'explicit',
+    channelInterpretation: 'speakers'
+  });
+}
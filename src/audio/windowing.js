@@ -0,0 +1,28 @@
+const windowCache = new Map();
+
+/**
+ * Returns a cached Hann window of the requested size. Windows are shared
+ * between callers, so treat the returned buffer as read-only.
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+export function hannWindow(size) {
+  if (windowCache.has(size)) {
+    return windowCache.get(size);
+  }
+  const window = new Float32Array(size);
+  const factor = (2 * Math.PI) / (size - 1);
+  for (let n = 0; n < size; n += 1) {
+    window[n] = 0.5 * (1 - Math.cos(factor * n));
+  }
+  windowCache.set(size, window);
+  return window;
+}
+
+/**
+ * Clears all cached window functions, e.g. after switching to a smaller
+ * analysis window to release the larger buffers.
+ */
+export function clearWindowCache() {
+  windowCache.clear();
+}
@@ -0,0 +1,219 @@
+import { ChordRecognizer } from '../audio/ChordRecognizer.js';
+import { pcdToFrequencyDomain } from '../audio/pcdDft.js';
+
+export const SCORE_WINDOWS = ['beat', 'measure'];
+
+function findIndexAt(entries, time) {
+  let low = 0;
+  let high = entries.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Cuts a parsed score into PCD frames, one per beat or per measure. Each note
+ * adds the time it sounds inside a window to its pitch class; every frame's
+ * PCD sums to 1 (or is all zero for silent windows).
+ * @param {object} score - Output of `parseStandardMidiFile` / `parseMusicXml`.
+ * @param {'beat'|'measure'} [window]
+ * @returns {Array<{ start: number, end: number, measure: number, pcd: Float32Array,
+ *   amplitudes: Float32Array, phases: Float32Array }>}
+ */
+export function buildScoreFrames(score, window = 'beat') {
+  const starts = window === 'measure' || score.beats.length === 0
+    ? score.measures.map((measure) => measure.start)
+    : score.beats;
+  const frames = starts.map((start, index) => ({
+    start,
+    end: index + 1 < starts.length ? starts[index + 1] : score.duration,
+    measure: score.measures.length > 0 ? score.measures[findIndexAt(score.measures, start)].number : 1,
+    pcd: new Float32Array(12)
+  }));
+  if (frames.length === 0) {
+    return frames;
+  }
+
+  score.notes.forEach((note) => {
+    for (let i = findIndexAt(frames, note.start); i < frames.length && frames[i].start < note.end; i += 1) {
+      const overlap = Math.min(frames[i].end, note.end) - Math.max(frames[i].start, note.start);
+      if (overlap > 0) {
+        frames[i].pcd[note.pitch % 12] += overlap;
+      }
+    }
+  });
+
+  frames.forEach((frame) => {
+    let sum = 0;
+    for (let i = 0; i < 12; i += 1) {
+      sum += frame.pcd[i];
+    }
+    if (sum > 0) {
+      for (let i = 0; i < 12; i += 1) {
+        frame.pcd[i] /= sum;
+      }
+    }
+    const { amplitudes, phases } = pcdToFrequencyDomain(frame.pcd);
+    frame.amplitudes = amplitudes;
+    frame.phases = phases;
+  });
+  return frames;
+}
+
+/**
+ * Plays the PCD frames of a score in place of live analysis, like
+ * `SessionReplay`: `update(delta)` returns a frame shaped like
+ * `AudioVolumeMonitor.update()` plus the current `measure` number.
+ *
+ * A score has no input signal, so `rms` stays 0; `sounding` tells consumers
+ * that gate on the input level (the torus marker) whether notes are playing.
+ */
+export class ScorePlayer {
+  constructor({ window = 'beat', loop = false, speed = 1 } = {}) {
+    this.window = SCORE_WINDOWS.includes(window) ? window : 'beat';
+    this.loop = loop;
+    this.speed = speed;
+    this.score = null;
+    this.frames = [];
+    this.label = 'Score';
+    this.playing = false;
+    this.position = 0;
+    this.cursor = 0;
+    this.chordRecognizer = new ChordRecognizer();
+    this.output = {
+      level: 0,
+      rms: 0,
+      sounding: false,
+      pcd: new Float32Array(12),
+      dft: { amplitudes: new Float32Array(7), phases: new Float32Array(7) },
+      primary: null,
+      chord: null,
+      key: null,
+      reference: null,
+      rhythm: null,
+      frame: -1,
+      time: 0,
+      measure: 0
+    };
+  }
+
+  /**
+   * @param {object} score - Parsed score.
+   * @param {string} [label]
+   */
+  load(score, label = null) {
+    const frames = buildScoreFrames(score, this.window);
+    if (score.notes.length === 0 || frames.length === 0) {
+      throw new Error('Score contains no pitched notes');
+    }
+    this.score = score;
+    this.frames = frames;
+    this.label = label ?? score.title;
+    this.output.frame = -1;
+    this.seek(0);
+    return this;
+  }
+
+  setWindow(window) {
+    this.window = SCORE_WINDOWS.includes(window) ? window : 'beat';
+    if (this.score) {
+      this.frames = buildScoreFrames(this.score, this.window);
+      this.output.frame = -1;
+      this.seek(this.position);
+    }
+  }
+
+  getDuration() {
+    return this.score?.duration ?? 0;
+  }
+
+  play() {
+    if (!this.score) return;
+    if (this.position >= this.getDuration()) {
+      this.seek(0);
+    }
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  seek(seconds) {
+    this.position = Math.min(Math.max(0, seconds), this.getDuration());
+    this.cursor = this.frames.length > 0 ? findIndexAt(this.frames, this.position) : 0;
+  }
+
+  /**
+   * Jumps by whole measures from the start of the current one.
+   * @param {number} offset - e.g. -1 for the previous measure.
+   */
+  seekMeasure(offset) {
+    const measures = this.score?.measures ?? [];
+    if (measures.length === 0) return;
+    const current = findIndexAt(measures, this.position);
+    const target = Math.min(measures.length - 1, Math.max(0, current + offset));
+    this.seek(measures[target].start);
+  }
+
+  /** @returns {{ number: number, index: number, count: number }} */
+  getMeasure() {
+    const measures = this.score?.measures ?? [];
+    if (measures.length === 0) {
+      return { number: 0, index: 0, count: 0 };
+    }
+    const index = findIndexAt(measures, this.position);
+    return { number: measures[index].number, index, count: measures.length };
+  }
+
+  /**
+   * @param {number} delta - Render-loop seconds since the last call.
+   * @returns {object} Analysis frame at the playhead.
+   */
+  update(delta) {
+    if (this.frames.length === 0) {
+      return this.output;
+    }
+
+    if (this.playing) {
+      const duration = this.getDuration();
+      this.position += delta * this.speed;
+      if (this.position >= duration) {
+        if (this.loop && duration > 0) {
+          this.position %= duration;
+          this.cursor = 0;
+        } else {
+          this.position = duration;
+          this.playing = false;
+        }
+      }
+    }
+
+    while (this.cursor + 1 < this.frames.length && this.frames[this.cursor + 1].start <= this.position) {
+      this.cursor += 1;
+    }
+
+    const frame = this.frames[this.cursor];
+    const { output } = this;
+    if (output.frame !== this.cursor) {
+      output.pcd.set(frame.pcd);
+      output.dft.amplitudes.set(frame.amplitudes);
+      output.dft.phases.set(frame.phases);
+      output.chord = this.chordRecognizer.recognize(frame.pcd);
+      output.level = frame.amplitudes[0] > 0 ? 1 : 0;
+      output.sounding = frame.amplitudes[0] > 0;
+    }
+    output.frame = this.cursor;
+    output.time = this.position;
+    output.measure = frame.measure;
+    return output;
+  }
+}
@@ -0,0 +1,395 @@
+/**
+ * Parsers for symbolic scores. Both formats are reduced to the same shape:
+ *
+ *   {
+ *     title: string,
+ *     notes: Array<{ start: number, end: number, pitch: number }>,   // seconds, MIDI pitch
+ *     measures: Array<{ number: number, start: number, end: number }>,
+ *     beats: number[],                                                // beat onsets in seconds
+ *     duration: number
+ *   }
+ */
+
+const DEFAULT_TEMPO_US = 500000;
+const DRUM_CHANNEL = 9;
+// Time-signature denominators beyond 2^6 (sixty-fourth notes) are treated as corrupt.
+const MAX_METER_EXPONENT = 6;
+
+function readVarLength(bytes, offset) {
+  let value = 0;
+  let index = offset;
+  for (let i = 0; i < 4; i += 1) {
+    const byte = bytes[index];
+    index += 1;
+    value = (value << 7) | (byte & 0x7f);
+    if ((byte & 0x80) === 0) break;
+  }
+  return { value, next: index };
+}
+
+function readAscii(bytes, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i += 1) {
+    text += String.fromCharCode(bytes[offset + i]);
+  }
+  return text;
+}
+
+/**
+ * Builds a ticks → seconds converter from `{ tick, usPerQuarter }` changes.
+ * @returns {(tick: number) => number}
+ */
+function createTickClock(tempos, ticksPerQuarter) {
+  const segments = [];
+  let seconds = 0;
+  let lastTick = 0;
+  let usPerQuarter = DEFAULT_TEMPO_US;
+  tempos
+    .slice()
+    .sort((a, b) => a.tick - b.tick)
+    .forEach(({ tick, usPerQuarter: next }) => {
+      seconds += ((tick - lastTick) * usPerQuarter) / (ticksPerQuarter * 1e6);
+      lastTick = tick;
+      usPerQuarter = next;
+      segments.push({ tick, seconds, usPerQuarter });
+    });
+
+  return (tick) => {
+    let segment = { tick: 0, seconds: 0, usPerQuarter: DEFAULT_TEMPO_US };
+    for (let i = 0; i < segments.length && segments[i].tick <= tick; i += 1) {
+      segment = segments[i];
+    }
+    return segment.seconds + ((tick - segment.tick) * segment.usPerQuarter) / (ticksPerQuarter * 1e6);
+  };
+}
+
+/**
+ * Walks a meter map (`{ position, numerator, denominator }` in quarter notes
+ * or ticks) and lists measure and beat start positions up to `end`.
+ */
+function layoutMeter(meters, end, quarter) {
+  const sorted = meters.length > 0
+    ? meters.slice().sort((a, b) => a.position - b.position)
+    : [{ position: 0, numerator: 4, denominator: 4 }];
+  if (sorted[0].position > 0) {
+    sorted.unshift({ position: 0, numerator: 4, denominator: 4 });
+  }
+
+  const measures = [];
+  const beats = [];
+  let position = 0;
+  let meterIndex = 0;
+  while (position < end || measures.length === 0) {
+    while (meterIndex + 1 < sorted.length && sorted[meterIndex + 1].position <= position) {
+      meterIndex += 1;
+    }
+    const { numerator, denominator } = sorted[meterIndex];
+    const beatLength = (quarter * 4) / denominator;
+    const length = numerator * beatLength;
+    if (!(length > 0) || !Number.isFinite(length)) {
+      throw new Error(`Invalid time signature ${numerator}/${denominator}`);
+    }
+    for (let b = 0; b < numerator; b += 1) {
+      beats.push(position + b * beatLength);
+    }
+    measures.push({ number: measures.length + 1, start: position, end: position + length });
+    position += length;
+  }
+  return { measures, beats };
+}
+
+/**
+ * Parses a Standard MIDI File (format 0 or 1). Drum-channel notes are
+ * dropped because their pitches do not stand for pitch classes.
+ * @param {ArrayBuffer} buffer
+ * @param {{ title?: string }} [options]
+ */
+export function parseStandardMidiFile(buffer, { title = 'MIDI file' } = {}) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  if (bytes.length < 14 || readAscii(bytes, 0, 4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File');
+  }
+
+  const headerLength = view.getUint32(4);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+  let ticksPerQuarter = division;
+  const tempos = [];
+  if (division & 0x8000) {
+    // SMPTE time: express ticks per second as a fixed tempo.
+    const framesPerSecond = 256 - (division >> 8);
+    const ticksPerFrame = division & 0xff;
+    ticksPerQuarter = framesPerSecond * ticksPerFrame;
+    tempos.push({ tick: 0, usPerQuarter: 1e6 });
+  }
+
+  const meters = [];
+  const rawNotes = [];
+  let trackName = null;
+  let endTick = 0;
+  let offset = 8 + headerLength;
+
+  for (let track = 0; track < trackCount && offset + 8 <= bytes.length; track += 1) {
+    const chunkType = readAscii(bytes, offset, 4);
+    const chunkLength = view.getUint32(offset + 4);
+    const chunkEnd = Math.min(bytes.length, offset + 8 + chunkLength);
+    if (chunkType !== 'MTrk') {
+      offset = chunkEnd;
+      track -= 1;
+      continue;
+    }
+
+    let index = offset + 8;
+    let tick = 0;
+    let runningStatus = 0;
+    const open = new Map();
+
+    while (index < chunkEnd) {
+      const delta = readVarLength(bytes, index);
+      tick += delta.value;
+      index = delta.next;
+
+      let status = bytes[index];
+      if (status < 0x80) {
+        status = runningStatus;
+      } else {
+        index += 1;
+      }
+
+      if (status === 0xff) {
+        const type = bytes[index];
+        const length = readVarLength(bytes, index + 1);
+        const dataStart = length.next;
+        if (type === 0x51 && length.value === 3) {
+          const usPerQuarter = (bytes[dataStart] << 16) | (bytes[dataStart + 1] << 8) | bytes[dataStart + 2];
+          if (!(division & 0x8000)) {
+            tempos.push({ tick, usPerQuarter });
+          }
+        } else if (type === 0x58 && length.value >= 2) {
+          const numerator = bytes[dataStart];
+          const exponent = bytes[dataStart + 1];
+          if (numerator < 1 || exponent > MAX_METER_EXPONENT) {
+            throw new Error(`Invalid time signature ${numerator}/2^${exponent} in MIDI file`);
+          }
+          meters.push({ position: tick, numerator, denominator: 2 ** exponent });
+        } else if (type === 0x03 && trackName === null && length.value > 0) {
+          trackName = readAscii(bytes, dataStart, length.value).trim() || null;
+        }
+        index = dataStart + length.value;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        const length = readVarLength(bytes, index);
+        index = length.next + length.value;
+        continue;
+      }
+
+      runningStatus = status;
+      const type = status & 0xf0;
+      const channel = status & 0x0f;
+      const dataLength = type === 0xc0 || type === 0xd0 ? 1 : 2;
+      const data1 = bytes[index];
+      const data2 = bytes[index + 1];
+      index += dataLength;
+
+      if (channel === DRUM_CHANNEL) continue;
+      const key = channel * 128 + data1;
+      if (type === 0x90 && data2 > 0) {
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push(tick);
+      } else if (type === 0x80 || type === 0x90) {
+        const starts = open.get(key);
+        if (starts?.length) {
+          rawNotes.push({ startTick: starts.shift(), endTick: tick, pitch: data1 });
+        }
+      }
+    }
+
+    open.forEach((starts, key) => {
+      starts.forEach((startTick) => rawNotes.push({ startTick, endTick: tick, pitch: key % 128 }));
+    });
+    endTick = Math.max(endTick, tick);
+    offset = chunkEnd;
+  }
+
+  const toSeconds = createTickClock(tempos, ticksPerQuarter);
+  const lastNoteTick = rawNotes.reduce((max, note) => Math.max(max, note.endTick), 0);
+  const layout = layoutMeter(meters, Math.max(lastNoteTick, 1), ticksPerQuarter);
+  const notes = rawNotes
+    .filter((note) => note.endTick > note.startTick)
+    .map((note) => ({ start: toSeconds(note.startTick), end: toSeconds(note.endTick), pitch: note.pitch }))
+    .sort((a, b) => a.start - b.start);
+  const measures = layout.measures.map(({ number, start, end }) => ({
+    number,
+    start: toSeconds(start),
+    end: toSeconds(end)
+  }));
+
+  return {
+    title: trackName ?? title,
+    notes,
+    measures,
+    beats: layout.beats.map(toSeconds),
+    duration: measures.length > 0 ? measures[measures.length - 1].end : toSeconds(endTick)
+  };
+}
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+function childText(element, name) {
+  const child = Array.from(element.children).find((node) => node.tagName === name);
+  return child ? child.textContent.trim() : null;
+}
+
+function hasChild(element, name) {
+  return Array.from(element.children).some((node) => node.tagName === name);
+}
+
+/**
+ * Parses uncompressed MusicXML (score-partwise). Positions are tracked in
+ * quarter notes per part, honouring `<backup>`, `<forward>` and `<chord/>`,
+ * then converted to seconds with the tempo marks (`<sound tempo>`) of the
+ * first part. Measure numbers come from the first part.
+ * @param {string} text
+ * @param {{ title?: string }} [options]
+ */
+export function parseMusicXml(text, { title = 'MusicXML score' } = {}) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid MusicXML');
+  }
+  const root = doc.documentElement;
+  if (root.tagName === 'score-timewise') {
+    throw new Error('Timewise MusicXML is not supported');
+  }
+  if (root.tagName !== 'score-partwise') {
+    throw new Error('Not a MusicXML score');
+  }
+
+  const parts = Array.from(root.getElementsByTagName('part'));
+  if (parts.length === 0) {
+    throw new Error('MusicXML score has no parts');
+  }
+
+  const rawNotes = [];
+  const tempos = [];
+  const measureStarts = [];
+
+  parts.forEach((part, partIndex) => {
+    let divisions = 1;
+    let beatLength = 1;
+    let measureStart = 0;
+    Array.from(part.children)
+      .filter((node) => node.tagName === 'measure')
+      .forEach((measure) => {
+        let cursor = 0;
+        let longest = 0;
+        let lastOnset = 0;
+        Array.from(measure.children).forEach((node) => {
+          if (node.tagName === 'attributes') {
+            const nextDivisions = Number.parseFloat(childText(node, 'divisions'));
+            if (nextDivisions > 0) divisions = nextDivisions;
+            const time = Array.from(node.children).find((child) => child.tagName === 'time');
+            const beatType = time ? Number.parseInt(childText(time, 'beat-type'), 10) : NaN;
+            if (beatType > 0) beatLength = 4 / beatType;
+          } else if (node.tagName === 'backup' || node.tagName === 'forward') {
+            const amount = (Number.parseFloat(childText(node, 'duration')) || 0) / divisions;
+            cursor += node.tagName === 'backup' ? -amount : amount;
+          } else if (node.tagName === 'sound' || node.tagName === 'direction') {
+            const sound = node.tagName === 'sound' ? node : node.getElementsByTagName('sound')[0];
+            const tempo = Number.parseFloat(sound?.getAttribute('tempo'));
+            if (partIndex === 0 && tempo > 0) {
+              tempos.push({ position: measureStart + cursor, bpm: tempo });
+            }
+          } else if (node.tagName === 'note') {
+            if (hasChild(node, 'grace')) return;
+            const duration = (Number.parseFloat(childText(node, 'duration')) || 0) / divisions;
+            const onset = hasChild(node, 'chord') ? lastOnset : cursor;
+            const pitch = Array.from(node.children).find((child) => child.tagName === 'pitch');
+            if (pitch) {
+              const step = STEP_SEMITONES[childText(pitch, 'step')];
+              const alter = Number.parseFloat(childText(pitch, 'alter')) || 0;
+              const octave = Number.parseInt(childText(pitch, 'octave'), 10);
+              if (step !== undefined && Number.isFinite(octave) && duration > 0) {
+                rawNotes.push({
+                  start: measureStart + onset,
+                  end: measureStart + onset + duration,
+                  pitch: 12 * (octave + 1) + step + Math.round(alter)
+                });
+              }
+            }
+            lastOnset = onset;
+            if (!hasChild(node, 'chord')) {
+              cursor += duration;
+            }
+          }
+          longest = Math.max(longest, cursor);
+        });
+
+        if (partIndex === 0) {
+          const number = Number.parseInt(measure.getAttribute('number'), 10);
+          measureStarts.push({
+            number: Number.isFinite(number) ? number : measureStarts.length + 1,
+            start: measureStart,
+            end: measureStart + longest,
+            beatLength
+          });
+        }
+        measureStart += longest;
+      });
+  });
+
+  const tempoMap = tempos.sort((a, b) => a.position - b.position);
+  const toSeconds = (quarters) => {
+    let seconds = 0;
+    let position = 0;
+    let bpm = 120;
+    for (let i = 0; i < tempoMap.length && tempoMap[i].position <= quarters; i += 1) {
+      seconds += ((tempoMap[i].position - position) * 60) / bpm;
+      position = tempoMap[i].position;
+      bpm = tempoMap[i].bpm;
+    }
+    return seconds + ((quarters - position) * 60) / bpm;
+  };
+
+  const beats = [];
+  measureStarts.forEach(({ start, end, beatLength }) => {
+    for (let beat = start; beat < end - 1e-6; beat += beatLength) {
+      beats.push(toSeconds(beat));
+    }
+  });
+  const measures = measureStarts.map(({ number, start, end }) => ({
+    number,
+    start: toSeconds(start),
+    end: toSeconds(end)
+  }));
+  const workTitle = root.getElementsByTagName('work-title')[0]?.textContent.trim()
+    || root.getElementsByTagName('movement-title')[0]?.textContent.trim();
+
+  return {
+    title: workTitle || title,
+    notes: rawNotes
+      .map((note) => ({ start: toSeconds(note.start), end: toSeconds(note.end), pitch: note.pitch }))
+      .sort((a, b) => a.start - b.start),
+    measures,
+    beats,
+    duration: measures.length > 0 ? measures[measures.length - 1].end : 0
+  };
+}
+
+/**
+ * Picks the parser from the file name (and magic bytes for MIDI).
+ * @param {File} file
+ */
+export async function parseScoreFile(file) {
+  const name = file.name ?? '';
+  if (/\.mxl$/i.test(name)) {
+    throw new Error('Compressed MusicXML (.mxl) is not supported; export uncompressed .musicxml');
+  }
+  if (/\.(musicxml|xml)$/i.test(name)) {
+    return parseMusicXml(await file.text(), { title: name });
+  }
+  return parseStandardMidiFile(await file.arrayBuffer(), { title: name });
+}
@@ -0,0 +1,330 @@
+import * as THREE from 'three';
+import { DoubleGrabController } from '../interactions/DoubleGrabController.js';
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const DFT_ROWS = 6;
+const BACKGROUND_RGB = [4, 25, 36];
+const DFT_RGB = [255, 210, 127];
+
+/** Full-intensity colour of each pitch-class row, hues spaced around the wheel. */
+function pitchClassColors() {
+  const color = new THREE.Color();
+  return PITCH_CLASSES.map((_, index) => {
+    color.setHSL(index / 12, 0.85, 0.55);
+    return [Math.round(color.r * 255), Math.round(color.g * 255), Math.round(color.b * 255)];
+  });
+}
+
+/**
+ * Scrolling chromagram: a time × pitch-class heatmap of the last
+ * `historySeconds`, newest on the right, with optional rows for the DFT
+ * magnitudes k = 1…6 below it.
+ *
+ * Frames are collected into columns of `1 / columnRate` seconds (the peak of
+ * each bin within the column). The canvas is redrawn at most `updateRate`
+ * times per second, however often `pushFrame` is called.
+ */
+export class ChromagramPanel {
+  constructor({
+    // Above the left half of the log cluster, tilted down towards the user.
+    position = new THREE.Vector3(-0.6, 2.26, -1.2),
+    rotation = new THREE.Euler(Math.PI / 10, 0, 0),
+    header = 'Chromagram',
+    historySeconds = 10,
+    columnRate = 20,
+    updateRate = 15,
+    showDft = false,
+    normalizeColumns = true
+  } = {}) {
+    this.group = new THREE.Group();
+    if (position instanceof THREE.Vector3) {
+      this.group.position.copy(position);
+    } else if (Array.isArray(position)) {
+      this.group.position.fromArray(position);
+    } else if (position && typeof position === 'object') {
+      this.group.position.set(position.x ?? 0, position.y ?? 0, position.z ?? 0);
+    }
+    if (rotation instanceof THREE.Euler) {
+      this.group.rotation.copy(rotation);
+    } else if (Array.isArray(rotation)) {
+      this.group.rotation.set(rotation[0] ?? 0, rotation[1] ?? 0, rotation[2] ?? 0);
+    } else if (rotation && typeof rotation === 'object') {
+      this.group.rotation.set(rotation.x ?? 0, rotation.y ?? 0, rotation.z ?? 0);
+    }
+
+    this.header = header;
+    this.historySeconds = Math.max(1, historySeconds);
+    this.columnRate = Math.max(1, columnRate);
+    this.updateRate = Math.max(1, updateRate);
+    this.showDft = Boolean(showDft);
+    this.normalizeColumns = Boolean(normalizeColumns);
+    this.rowColors = pitchClassColors();
+
+    this.columnCount = Math.max(2, Math.round(this.historySeconds * this.columnRate));
+    this.rowCount = PITCH_CLASSES.length + DFT_ROWS;
+    // Ring buffer of committed columns; `head` is the slot written next.
+    this.columns = new Float32Array(this.columnCount * this.rowCount);
+    this.head = 0;
+    this.pending = new Float32Array(this.rowCount);
+    this.columnStart = null;
+    this.lastRenderTime = -Infinity;
+    this.ready = false;
+    this.dirty = true;
+
+    this.panelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x132f41,
+      emissive: 0x0b3c57,
+      emissiveIntensity: 0.48,
+      metalness: 0.25,
+      roughness: 0.55,
+      side: THREE.DoubleSide
+    });
+    this.panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.1, 0.62), this.panelMaterial);
+    this.group.add(this.panelMesh);
+
+    const frameMaterial = new THREE.MeshStandardMaterial({
+      color: 0x050f16,
+      emissive: 0x050f16,
+      emissiveIntensity: 0.3,
+      metalness: 0.25,
+      roughness: 0.7,
+      side: THREE.DoubleSide
+    });
+    this.frameMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.14, 0.66), frameMaterial);
+    this.frameMesh.position.set(0, 0, -0.012);
+    this.group.add(this.frameMesh);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1024;
+    this.canvas.height = 576;
+    this.ctx = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+
+    // One pixel per cell; scaled up onto the panel canvas without smoothing.
+    this.heatCanvas = document.createElement('canvas');
+    this.heatCanvas.width = this.columnCount;
+    this.heatCanvas.height = this.rowCount;
+    this.heatCtx = this.heatCanvas.getContext('2d');
+    this.heatImage = this.heatCtx.createImageData(this.columnCount, this.rowCount);
+
+    const graphMaterial = new THREE.MeshBasicMaterial({ map: this.texture });
+    graphMaterial.depthTest = true;
+    graphMaterial.depthWrite = false;
+    this.graphMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.06, 0.596), graphMaterial);
+    this.graphMesh.position.set(0, 0, 0.004);
+    this.graphMesh.renderOrder = 15;
+    this.group.add(this.graphMesh);
+
+    this.controller = new DoubleGrabController(this.group, {
+      proximity: 0.055,
+      intersectionPadding: 0.03,
+      minScale: 0.5,
+      maxScale: 2.2,
+      onReadyChange: (ready) => this.setReady(ready)
+    });
+
+    this.render();
+  }
+
+  setReady(ready) {
+    if (this.ready === ready) return;
+    this.ready = ready;
+    this.panelMaterial.emissiveIntensity = ready ? 0.95 : 0.45;
+    this.dirty = true;
+  }
+
+  setShowDft(show) {
+    if (this.showDft === Boolean(show)) return;
+    this.showDft = Boolean(show);
+    this.dirty = true;
+  }
+
+  setUpdateRate(rate) {
+    this.updateRate = Math.max(1, rate);
+  }
+
+  clear() {
+    this.columns.fill(0);
+    this.pending.fill(0);
+    this.columnStart = null;
+    this.dirty = true;
+  }
+
+  /**
+   * Adds one analysis frame.
+   * @param {{ pcd?: ArrayLike<number>, dft?: { amplitudes: ArrayLike<number> } }} frame
+   * @param {number} time - Seconds on a monotonic clock (e.g. `clock.elapsedTime`).
+   */
+  pushFrame({ pcd = null, dft = null } = {}, time) {
+    if (this.columnStart === null || time < this.columnStart) {
+      this.columnStart = time;
+    }
+    const columnDuration = 1 / this.columnRate;
+    const elapsedColumns = Math.floor((time - this.columnStart) / columnDuration);
+    // Long gaps (a paused tab) leave silent columns rather than smearing.
+    for (let i = 0; i < Math.min(elapsedColumns, this.columnCount); i += 1) {
+      this.commitColumn();
+    }
+    this.columnStart += elapsedColumns * columnDuration;
+
+    const { pending } = this;
+    if (pcd && pcd.length >= PITCH_CLASSES.length) {
+      for (let i = 0; i < PITCH_CLASSES.length; i += 1) {
+        pending[i] = Math.max(pending[i], pcd[i]);
+      }
+    }
+    const amplitudes = dft?.amplitudes;
+    if (amplitudes && amplitudes.length > DFT_ROWS) {
+      for (let k = 1; k <= DFT_ROWS; k += 1) {
+        const row = PITCH_CLASSES.length + k - 1;
+        pending[row] = Math.max(pending[row], amplitudes[k]);
+      }
+    }
+
+    if (time - this.lastRenderTime >= 1 / this.updateRate || time < this.lastRenderTime) {
+      this.lastRenderTime = time;
+      this.dirty = true;
+      this.render();
+    }
+  }
+
+  commitColumn() {
+    this.columns.set(this.pending, this.head * this.rowCount);
+    this.head = (this.head + 1) % this.columnCount;
+    this.pending.fill(0);
+  }
+
+  update(leftState, rightState) {
+    const status = this.controller.update(leftState, rightState);
+    if (this.dirty) {
+      this.render();
+    }
+    return status;
+  }
+
+  /** Writes the heatmap cells into the one-pixel-per-cell image. */
+  paintHeatmap() {
+    const { data } = this.heatImage;
+    const rows = this.rowCount;
+    const pitchRows = PITCH_CLASSES.length;
+    for (let column = 0; column < this.columnCount; column += 1) {
+      const offset = ((this.head + column) % this.columnCount) * rows;
+      let peak = 0;
+      for (let row = 0; row < pitchRows; row += 1) {
+        peak = Math.max(peak, this.columns[offset + row]);
+      }
+      const scale = this.normalizeColumns && peak > 0 ? 1 / peak : 1;
+
+      for (let row = 0; row < rows; row += 1) {
+        const value = Math.min(1, this.columns[offset + row] * (row < pitchRows ? scale : 1));
+        // Pitch classes run upwards from C at the bottom of their block.
+        const y = row < pitchRows ? pitchRows - 1 - row : row;
+        const rgb = row < pitchRows ? this.rowColors[row] : DFT_RGB;
+        const intensity = Math.sqrt(value);
+        const index = (y * this.columnCount + column) * 4;
+        data[index] = BACKGROUND_RGB[0] + (rgb[0] - BACKGROUND_RGB[0]) * intensity;
+        data[index + 1] = BACKGROUND_RGB[1] + (rgb[1] - BACKGROUND_RGB[1]) * intensity;
+        data[index + 2] = BACKGROUND_RGB[2] + (rgb[2] - BACKGROUND_RGB[2]) * intensity;
+        data[index + 3] = 255;
+      }
+    }
+    this.heatCtx.putImageData(this.heatImage, 0, 0);
+  }
+
+  render() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const { ctx, canvas } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = this.ready ? '#073545' : '#071824';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = this.ready ? '#00ffcc' : '#0f3a44';
+    ctx.lineWidth = this.ready ? 12 : 6;
+    ctx.strokeRect(18, 18, canvas.width - 36, canvas.height - 36);
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '700 44px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(this.header, 48, 38);
+
+    ctx.textAlign = 'right';
+    ctx.font = '500 24px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#7aa1ad';
+    ctx.fillText(
+      `${this.historySeconds.toFixed(0)} s · ${this.normalizeColumns ? 'per column' : 'absolute'}`,
+      canvas.width - 48,
+      52
+    );
+
+    const left = 110;
+    const top = 104;
+    const width = canvas.width - left - 48;
+    const visibleRows = PITCH_CLASSES.length + (this.showDft ? DFT_ROWS : 0);
+    const rowGap = this.showDft ? 12 : 0;
+    const height = canvas.height - top - 84 - rowGap;
+    const rowHeight = height / visibleRows;
+
+    this.paintHeatmap();
+    ctx.imageSmoothingEnabled = false;
+    const pitchHeight = rowHeight * PITCH_CLASSES.length;
+    ctx.drawImage(this.heatCanvas, 0, 0, this.columnCount, PITCH_CLASSES.length, left, top, width, pitchHeight);
+    if (this.showDft) {
+      ctx.drawImage(
+        this.heatCanvas,
+        0,
+        PITCH_CLASSES.length,
+        this.columnCount,
+        DFT_ROWS,
+        left,
+        top + pitchHeight + rowGap,
+        width,
+        rowHeight * DFT_ROWS
+      );
+    }
+    ctx.imageSmoothingEnabled = true;
+
+    ctx.strokeStyle = '#134d4c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, pitchHeight);
+    if (this.showDft) {
+      ctx.strokeRect(left, top + pitchHeight + rowGap, width, rowHeight * DFT_ROWS);
+    }
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.font = `500 ${Math.min(22, Math.floor(rowHeight * 0.8))}px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace`;
+    for (let i = 0; i < PITCH_CLASSES.length; i += 1) {
+      const [r, g, b] = this.rowColors[i];
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fillText(PITCH_CLASSES[i], left - 14, top + (PITCH_CLASSES.length - 0.5 - i) * rowHeight);
+    }
+    if (this.showDft) {
+      ctx.fillStyle = '#ffd27f';
+      for (let k = 1; k <= DFT_ROWS; k += 1) {
+        ctx.fillText(`k=${k}`, left - 14, top + pitchHeight + rowGap + (k - 0.5) * rowHeight);
+      }
+    }
+
+    // Time axis: whole seconds back from "now" at the right edge.
+    const axisY = canvas.height - 70;
+    const step = this.historySeconds > 20 ? 10 : this.historySeconds > 8 ? 2 : 1;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = '500 20px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    for (let seconds = 0; seconds <= this.historySeconds; seconds += step) {
+      const x = left + width - (width * seconds) / this.historySeconds;
+      ctx.fillStyle = '#7aa1ad';
+      ctx.fillRect(x - 1, axisY - 6, 2, 8);
+      ctx.fillText(seconds === 0 ? 'now' : `−${seconds}s`, x, axisY + 6);
+    }
+    ctx.textAlign = 'left';
+
+    this.texture.needsUpdate = true;
+  }
+}
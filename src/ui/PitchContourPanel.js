@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import { DoubleGrabController } from '../interactions/DoubleGrabController.js';
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+
+/**
+ * Pitch contour of the last `historySeconds` over a piano-roll grid, for
+ * singers checking intonation. Each semitone is a row centred on the
+ * equal-tempered note; the contour is drawn through the tracked f0 (as
+ * fractional MIDI), faded by voicing probability and broken where the
+ * tracker reports no voiced pitch.
+ *
+ * The visible range is `span` semitones and follows the recent voiced
+ * pitches with time constant `followSeconds`. The canvas is redrawn at most
+ * `updateRate` times per second.
+ */
+export class PitchContourPanel {
+  constructor({
+    position = new THREE.Vector3(-1.65, 1.8, -0.45),
+    rotation = new THREE.Euler(0, Math.PI / 4, 0),
+    header = 'Pitch Contour',
+    historySeconds = 6,
+    span = 14,
+    updateRate = 20,
+    followSeconds = 0.7
+  } = {}) {
+    this.group = new THREE.Group();
+    if (position instanceof THREE.Vector3) {
+      this.group.position.copy(position);
+    } else if (Array.isArray(position)) {
+      this.group.position.fromArray(position);
+    } else if (position && typeof position === 'object') {
+      this.group.position.set(position.x ?? 0, position.y ?? 0, position.z ?? 0);
+    }
+    if (rotation instanceof THREE.Euler) {
+      this.group.rotation.copy(rotation);
+    } else if (Array.isArray(rotation)) {
+      this.group.rotation.set(rotation[0] ?? 0, rotation[1] ?? 0, rotation[2] ?? 0);
+    } else if (rotation && typeof rotation === 'object') {
+      this.group.rotation.set(rotation.x ?? 0, rotation.y ?? 0, rotation.z ?? 0);
+    }
+
+    this.header = header;
+    this.historySeconds = Math.max(1, historySeconds);
+    this.span = Math.max(6, Math.round(span));
+    this.updateRate = Math.max(1, updateRate);
+    this.followSeconds = Math.max(0.05, followSeconds);
+    this.samples = [];
+    this.centerMidi = 60;
+    this.current = null;
+    this.lastTime = 0;
+    this.lastRenderTime = -Infinity;
+    this.ready = false;
+    this.dirty = true;
+
+    this.panelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x132f41,
+      emissive: 0x0b3c57,
+      emissiveIntensity: 0.48,
+      metalness: 0.25,
+      roughness: 0.55,
+      side: THREE.DoubleSide
+    });
+    this.panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.1, 0.62), this.panelMaterial);
+    this.group.add(this.panelMesh);
+
+    const frameMaterial = new THREE.MeshStandardMaterial({
+      color: 0x050f16,
+      emissive: 0x050f16,
+      emissiveIntensity: 0.3,
+      metalness: 0.25,
+      roughness: 0.7,
+      side: THREE.DoubleSide
+    });
+    this.frameMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.14, 0.66), frameMaterial);
+    this.frameMesh.position.set(0, 0, -0.012);
+    this.group.add(this.frameMesh);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1024;
+    this.canvas.height = 576;
+    this.ctx = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+
+    const graphMaterial = new THREE.MeshBasicMaterial({ map: this.texture });
+    graphMaterial.depthTest = true;
+    graphMaterial.depthWrite = false;
+    this.graphMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.06, 0.596), graphMaterial);
+    this.graphMesh.position.set(0, 0, 0.004);
+    this.graphMesh.renderOrder = 15;
+    this.group.add(this.graphMesh);
+
+    this.controller = new DoubleGrabController(this.group, {
+      proximity: 0.055,
+      intersectionPadding: 0.03,
+      minScale: 0.5,
+      maxScale: 2.2,
+      onReadyChange: (ready) => this.setReady(ready)
+    });
+
+    this.render();
+  }
+
+  setReady(ready) {
+    if (this.ready === ready) return;
+    this.ready = ready;
+    this.panelMaterial.emissiveIntensity = ready ? 0.95 : 0.45;
+    this.dirty = true;
+  }
+
+  clear() {
+    this.samples = [];
+    this.current = null;
+    this.dirty = true;
+  }
+
+  /**
+   * @param {{ pitch?: { midi: number, f0: number, cents: number, nearestMidi: number,
+   *   probability: number, voiced: boolean } | null }} frame
+   * @param {number} time - Seconds on a monotonic clock (e.g. `clock.elapsedTime`).
+   */
+  pushFrame({ pitch = null } = {}, time) {
+    if (time < this.lastTime) {
+      this.samples = [];
+    }
+    const dt = Math.max(0, time - this.lastTime);
+    this.lastTime = time;
+
+    const voiced = Boolean(pitch?.voiced && Number.isFinite(pitch.midi));
+    this.current = voiced
+      ? { midi: pitch.midi, nearestMidi: pitch.nearestMidi, cents: pitch.cents, f0: pitch.f0, probability: pitch.probability }
+      : null;
+    this.samples.push({ time, midi: voiced ? pitch.midi : null, probability: pitch?.probability ?? 0 });
+    const cutoff = time - this.historySeconds;
+    let expired = 0;
+    while (expired < this.samples.length && this.samples[expired].time < cutoff) {
+      expired += 1;
+    }
+    if (expired > 0) {
+      this.samples.splice(0, expired);
+    }
+
+    // Follow the singer slowly so the grid does not jump with every note.
+    if (voiced) {
+      const half = this.span / 2 - 1;
+      if (Math.abs(pitch.midi - this.centerMidi) > half) {
+        this.centerMidi = Math.round(pitch.midi);
+      } else {
+        this.centerMidi += (pitch.midi - this.centerMidi) * (1 - Math.exp(-dt / this.followSeconds));
+      }
+    }
+
+    if (time - this.lastRenderTime >= 1 / this.updateRate || time < this.lastRenderTime) {
+      this.lastRenderTime = time;
+      this.dirty = true;
+      this.render();
+    }
+  }
+
+  update(leftState, rightState) {
+    const status = this.controller.update(leftState, rightState);
+    if (this.dirty) {
+      this.render();
+    }
+    return status;
+  }
+
+  render() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const { ctx, canvas } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = this.ready ? '#073545' : '#071824';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = this.ready ? '#00ffcc' : '#0f3a44';
+    ctx.lineWidth = this.ready ? 12 : 6;
+    ctx.strokeRect(18, 18, canvas.width - 36, canvas.height - 36);
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '700 44px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(this.header, 48, 38);
+
+    const current = this.current;
+    ctx.textAlign = 'right';
+    if (current) {
+      const octave = Math.floor(current.nearestMidi / 12) - 1;
+      const sign = current.cents >= 0 ? '+' : '−';
+      ctx.font = '700 40px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+      ctx.fillStyle = Math.abs(current.cents) <= 10 ? '#00ffcc' : '#ffd27f';
+      ctx.fillText(
+        `${PITCH_CLASSES[((current.nearestMidi % 12) + 12) % 12]}${octave} ${sign}${Math.abs(current.cents).toFixed(0)}¢`,
+        canvas.width - 48,
+        40
+      );
+      ctx.font = '500 20px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+      ctx.fillStyle = '#7aa1ad';
+      ctx.fillText(
+        `${current.f0.toFixed(1)} Hz · voiced ${(current.probability * 100).toFixed(0)}%`,
+        canvas.width - 48,
+        84
+      );
+    } else {
+      ctx.font = '700 40px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+      ctx.fillStyle = '#7aa1ad';
+      ctx.fillText('—', canvas.width - 48, 40);
+    }
+
+    const left = 110;
+    const top = 120;
+    const width = canvas.width - left - 48;
+    const height = canvas.height - top - 48;
+    const lowMidi = Math.round(this.centerMidi) - Math.floor(this.span / 2);
+    const rowHeight = height / this.span;
+    // Row i holds MIDI note lowMidi + i, with its centre line at the exact pitch.
+    const midiToY = (midi) => top + height - (midi - lowMidi + 0.5) * rowHeight;
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.font = `500 ${Math.min(20, Math.floor(rowHeight * 0.75))}px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace`;
+    for (let i = 0; i < this.span; i += 1) {
+      const midi = lowMidi + i;
+      const pitchClass = ((midi % 12) + 12) % 12;
+      const y = midiToY(midi);
+      ctx.fillStyle = BLACK_KEYS.has(pitchClass) ? '#041924' : '#0a2431';
+      ctx.fillRect(left, y - rowHeight / 2, width, rowHeight);
+      ctx.fillStyle = pitchClass === 0 ? '#1f6a6a' : '#103441';
+      ctx.fillRect(left, y, width, 1);
+      if (!BLACK_KEYS.has(pitchClass)) {
+        ctx.fillStyle = pitchClass === 0 ? '#d1f8ff' : '#7aa1ad';
+        ctx.fillText(`${PITCH_CLASSES[pitchClass]}${Math.floor(midi / 12) - 1}`, left - 12, y);
+      }
+    }
+    ctx.strokeStyle = '#134d4c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+
+    const timeToX = (time) => left + width - ((this.lastTime - time) / this.historySeconds) * width;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    for (let i = 1; i < this.samples.length; i += 1) {
+      const previous = this.samples[i - 1];
+      const sample = this.samples[i];
+      if (previous.midi === null || sample.midi === null) continue;
+      ctx.strokeStyle = `rgba(0, 255, 204, ${0.25 + 0.75 * sample.probability})`;
+      ctx.beginPath();
+      ctx.moveTo(timeToX(previous.time), midiToY(previous.midi));
+      ctx.lineTo(timeToX(sample.time), midiToY(sample.midi));
+      ctx.stroke();
+    }
+    if (current) {
+      ctx.fillStyle = '#ffd27f';
+      ctx.beginPath();
+      ctx.arc(left + width, midiToY(current.midi), 7, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    this.texture.needsUpdate = true;
+  }
+}
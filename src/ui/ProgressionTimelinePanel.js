@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+import { DoubleGrabController } from '../interactions/DoubleGrabController.js';
+
+const TWO_PI = Math.PI * 2;
+
+function toDegrees(angle) {
+  return Math.round(THREE.MathUtils.radToDeg(THREE.MathUtils.euclideanModulo(angle, TWO_PI)));
+}
+
+/**
+ * Lists the recent harmonic segments, newest first: chord, duration and the
+ * torus coordinates (around / tube angle, radius) of the averaged PCD. A strip
+ * along the top shows the same segments to scale in time. Entries are tinted
+ * by their around angle, matching the torus marker colour.
+ *
+ * Entries: `{ label, start, duration, coords: { around, tube, radius } }`;
+ * the open segment is passed separately and drawn highlighted.
+ */
+export class ProgressionTimelinePanel {
+  constructor({
+    position = new THREE.Vector3(1.65, 1.8, -0.45),
+    rotation = new THREE.Euler(0, -Math.PI / 4, 0),
+    header = 'Progression',
+    maxRows = 8,
+    updateRate = 4
+  } = {}) {
+    this.group = new THREE.Group();
+    if (position instanceof THREE.Vector3) {
+      this.group.position.copy(position);
+    } else if (Array.isArray(position)) {
+      this.group.position.fromArray(position);
+    } else if (position && typeof position === 'object') {
+      this.group.position.set(position.x ?? 0, position.y ?? 0, position.z ?? 0);
+    }
+    if (rotation instanceof THREE.Euler) {
+      this.group.rotation.copy(rotation);
+    } else if (Array.isArray(rotation)) {
+      this.group.rotation.set(rotation[0] ?? 0, rotation[1] ?? 0, rotation[2] ?? 0);
+    } else if (rotation && typeof rotation === 'object') {
+      this.group.rotation.set(rotation.x ?? 0, rotation.y ?? 0, rotation.z ?? 0);
+    }
+
+    this.header = header;
+    this.maxRows = Math.max(1, Math.floor(maxRows));
+    this.updateRate = Math.max(1, updateRate);
+    this.segments = [];
+    this.current = null;
+    this.lastRenderTime = -Infinity;
+    this.ready = false;
+    this.dirty = true;
+    this.color = new THREE.Color();
+
+    this.panelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x132f41,
+      emissive: 0x0b3c57,
+      emissiveIntensity: 0.48,
+      metalness: 0.25,
+      roughness: 0.55,
+      side: THREE.DoubleSide
+    });
+    this.panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.1, 0.62), this.panelMaterial);
+    this.group.add(this.panelMesh);
+
+    const frameMaterial = new THREE.MeshStandardMaterial({
+      color: 0x050f16,
+      emissive: 0x050f16,
+      emissiveIntensity: 0.3,
+      metalness: 0.25,
+      roughness: 0.7,
+      side: THREE.DoubleSide
+    });
+    this.frameMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.14, 0.66), frameMaterial);
+    this.frameMesh.position.set(0, 0, -0.012);
+    this.group.add(this.frameMesh);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1024;
+    this.canvas.height = 576;
+    this.ctx = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+
+    const graphMaterial = new THREE.MeshBasicMaterial({ map: this.texture });
+    graphMaterial.depthTest = true;
+    graphMaterial.depthWrite = false;
+    this.graphMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.06, 0.596), graphMaterial);
+    this.graphMesh.position.set(0, 0, 0.004);
+    this.graphMesh.renderOrder = 15;
+    this.group.add(this.graphMesh);
+
+    this.controller = new DoubleGrabController(this.group, {
+      proximity: 0.055,
+      intersectionPadding: 0.03,
+      minScale: 0.5,
+      maxScale: 2.2,
+      onReadyChange: (ready) => this.setReady(ready)
+    });
+
+    this.render();
+  }
+
+  setReady(ready) {
+    if (this.ready === ready) return;
+    this.ready = ready;
+    this.panelMaterial.emissiveIntensity = ready ? 0.95 : 0.45;
+    this.dirty = true;
+  }
+
+  /**
+   * @param {object[]} segments - Finished segments, oldest first.
+   * @param {object | null} current - The open segment, if any.
+   * @param {number} time - Seconds on a monotonic clock; limits redraws to `updateRate`.
+   */
+  setSegments(segments, current, time) {
+    const changed = segments.length !== this.segments.length
+      || segments[segments.length - 1] !== this.segments[this.segments.length - 1]
+      || Boolean(current) !== Boolean(this.current);
+    this.segments = segments.slice(-this.maxRows);
+    this.current = current;
+    if (changed || time - this.lastRenderTime >= 1 / this.updateRate || time < this.lastRenderTime) {
+      this.lastRenderTime = time;
+      this.dirty = true;
+      this.render();
+    }
+  }
+
+  update(leftState, rightState) {
+    const status = this.controller.update(leftState, rightState);
+    if (this.dirty) {
+      this.render();
+    }
+    return status;
+  }
+
+  entryColor(entry, lightness) {
+    const hue = THREE.MathUtils.euclideanModulo(entry.coords.around / TWO_PI + 0.5, 1);
+    return `#${this.color.setHSL(hue, 0.78, lightness).getHexString()}`;
+  }
+
+  render() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const { ctx, canvas } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = this.ready ? '#073545' : '#071824';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = this.ready ? '#00ffcc' : '#0f3a44';
+    ctx.lineWidth = this.ready ? 12 : 6;
+    ctx.strokeRect(18, 18, canvas.width - 36, canvas.height - 36);
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '700 44px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(this.header, 48, 38);
+
+    const entries = this.current ? [...this.segments, this.current] : this.segments;
+    this.renderStrip(entries, 48, 104, canvas.width - 96, 44);
+
+    const listTop = 172;
+    const rowHeight = (canvas.height - listTop - 40) / (this.maxRows + 1);
+    ctx.textBaseline = 'middle';
+    ctx.font = '500 20px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#7aa1ad';
+    ctx.fillText('chord', 84, listTop + rowHeight / 2);
+    ctx.fillText('duration', 300, listTop + rowHeight / 2);
+    ctx.fillText('around / tube', 500, listTop + rowHeight / 2);
+    ctx.fillText('radius', 820, listTop + rowHeight / 2);
+
+    if (entries.length === 0) {
+      ctx.font = '500 26px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+      ctx.fillText('waiting for a stable harmony…', 84, listTop + rowHeight * 1.5);
+    }
+
+    const newestFirst = entries.slice(-this.maxRows).reverse();
+    newestFirst.forEach((entry, index) => {
+      const y = listTop + rowHeight * (index + 1.5);
+      const open = entry === this.current;
+      if (open) {
+        ctx.fillStyle = '#0a2f3b';
+        ctx.fillRect(40, y - rowHeight / 2 + 2, canvas.width - 80, rowHeight - 4);
+      }
+      ctx.fillStyle = this.entryColor(entry, 0.6);
+      ctx.beginPath();
+      ctx.arc(60, y, 10, 0, TWO_PI);
+      ctx.fill();
+
+      ctx.font = '700 26px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+      ctx.fillStyle = open ? '#ffd27f' : '#f1f6ff';
+      ctx.fillText(entry.label, 84, y, 200);
+      ctx.font = '500 24px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+      ctx.fillStyle = '#d2ebff';
+      ctx.fillText(`${entry.duration.toFixed(1)} s${open ? ' …' : ''}`, 300, y);
+      ctx.fillText(`${toDegrees(entry.coords.around)}° / ${toDegrees(entry.coords.tube)}°`, 500, y);
+      ctx.fillText(entry.coords.radius.toFixed(2), 820, y);
+    });
+
+    this.texture.needsUpdate = true;
+  }
+
+  /** Segments laid out end to end in time, newest at the right edge. */
+  renderStrip(entries, left, top, width, height) {
+    const { ctx } = this;
+    ctx.fillStyle = '#041924';
+    ctx.fillRect(left, top, width, height);
+    if (entries.length > 0) {
+      const first = entries[0].start;
+      const last = entries[entries.length - 1];
+      const span = Math.max(1e-3, last.start + last.duration - first);
+      entries.forEach((entry) => {
+        const x = left + ((entry.start - first) / span) * width;
+        const w = Math.max(2, (entry.duration / span) * width - 2);
+        ctx.fillStyle = this.entryColor(entry, entry === this.current ? 0.55 : 0.4);
+        ctx.fillRect(x, top + 4, w, height - 8);
+        if (w > 48) {
+          ctx.fillStyle = '#041924';
+          ctx.font = '600 20px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(entry.label, x + 6, top + height / 2, w - 12);
+        }
+      });
+    }
+    ctx.strokeStyle = '#134d4c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+    ctx.textBaseline = 'top';
+  }
+}
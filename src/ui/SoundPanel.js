@@ -1,12 +1,16 @@
 import * as THREE from 'three';
 import { DoubleGrabController } from '../interactions/DoubleGrabController.js';
 
+const lampWorkVector = new THREE.Vector3();
+
 export class SoundPanel {
   constructor({
     position = new THREE.Vector3(0, 0.95, -1.32),
     rotation = new THREE.Euler(0, 0, 0),
     header = 'Sound Monitor',
-    historyLength = 120
+    historyLength = 120,
+    tunerReactivity = 0.35,
+    onClipReset = null
   } = {}) {
     this.group = new THREE.Group();
     if (position instanceof THREE.Vector3) {
@@ -30,14 +34,28 @@ export class SoundPanel {
     this.pitchClasses = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
     this.state = {
       ready: false,
-      status: 'Initializing microphone…',
+      source: null,
+      status: 'initializing…',
       statusType: 'info',
       level: 0,
       rms: 0,
       pcd: new Float32Array(12),
       dftAmplitudes: new Float32Array(7),
-      dftPhases: new Float32Array(7)
+      dftPhases: new Float32Array(7),
+      tuner: null,
+      chord: null,
+      key: null,
+      reference: null,
+      rhythm: null,
+      noise: null,
+      loudness: null
     };
+    this.tunerReactivity = THREE.MathUtils.clamp(tunerReactivity, 0.05, 1);
+    this.tunerNeedle = { cents: null, midi: null };
+    this.onClipReset = onClipReset;
+    // Canvas rect of the clip lamp (set by renderLoudness); touching it resets the count.
+    this.clipLampRect = null;
+    this.clipLampTouched = false;
     this.dirty = true;
 
     this.panelMaterial = new THREE.MeshStandardMaterial({
@@ -48,7 +66,7 @@ export class SoundPanel {
       roughness: 0.55,
       side: THREE.DoubleSide
     });
-    this.panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.16, 0.66), this.panelMaterial);
+    this.panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.53, 0.97), this.panelMaterial);
     this.group.add(this.panelMesh);
 
     const frameMaterial = new THREE.MeshStandardMaterial({
@@ -59,13 +77,13 @@ export class SoundPanel {
       roughness: 0.7,
       side: THREE.DoubleSide
     });
-    this.frameMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.2, 0.7), frameMaterial);
+    this.frameMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.57, 1.01), frameMaterial);
     this.frameMesh.position.set(0, 0, -0.012);
     this.group.add(this.frameMesh);
 
     this.canvas = document.createElement('canvas');
-    this.canvas.width = 768;
-    this.canvas.height = 432;
+    this.canvas.width = 1024;
+    this.canvas.height = 640;
     this.ctx = this.canvas.getContext('2d');
     this.texture = new THREE.CanvasTexture(this.canvas);
     this.texture.minFilter = THREE.LinearFilter;
@@ -76,7 +94,7 @@ export class SoundPanel {
     // that sit in front of the sound panel while still avoiding depth writes.
     graphMaterial.depthTest = true;
     graphMaterial.depthWrite = false;
-    this.graphMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.12, 0.62), graphMaterial);
+    this.graphMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.49, 0.933), graphMaterial);
     this.graphMesh.position.set(0, 0, 0.004);
     this.graphMesh.renderOrder = 15;
     this.group.add(this.graphMesh);
@@ -109,7 +127,14 @@ export class SoundPanel {
     this.invalidate();
   }
 
-  updateMeter({ level = 0, rms = 0, pcd = null, dft = null } = {}) {
+  setSource(label) {
+    const next = label ?? null;
+    if (this.state.source === next) return;
+    this.state.source = next;
+    this.invalidate();
+  }
+
+  updateMeter({ level = 0, rms = 0, pcd = null, dft = null, primary = null, chord = null, key = null, reference = null, rhythm = null, noise = null, loudness = null } = {}) {
     const clampedLevel = Math.min(Math.max(level, 0), 1);
     this.history.push(clampedLevel);
     if (this.history.length > this.historyLength) {
@@ -149,18 +174,101 @@ export class SoundPanel {
       this.state.dftPhases.fill(0);
     }
 
+    this.updateTuner(primary);
+    this.state.chord = chord
+      ? {
+          label: chord.label,
+          confidence: chord.confidence,
+          runnerUp: chord.runnerUp?.label ?? null
+        }
+      : null;
+    this.state.key = key ? { label: key.label, correlation: key.correlation } : null;
+    this.state.reference = reference
+      ? {
+          refA4: reference.refA4,
+          estimate: reference.estimate ? { ...reference.estimate } : null,
+          mode: reference.mode,
+          locked: reference.locked
+        }
+      : null;
+    this.state.noise = noise ? { ...noise } : null;
+    this.state.loudness = loudness ? { ...loudness } : null;
+    this.state.rhythm = rhythm
+      ? { bpm: rhythm.bpm, confidence: rhythm.confidence, beatPhase: rhythm.beatPhase }
+      : null;
     this.invalidate();
   }
 
+  /**
+   * Smooths the tuner needle towards the latest primary pitch. The needle
+   * snaps when the nearest note changes so it never sweeps across ±50¢.
+   */
+  updateTuner(primary) {
+    if (!primary || !Number.isFinite(primary.cents)) {
+      this.tunerNeedle.cents = null;
+      this.tunerNeedle.midi = null;
+      this.state.tuner = null;
+      return;
+    }
+
+    const needle = this.tunerNeedle;
+    if (needle.cents === null || needle.midi !== primary.nearestMidi) {
+      needle.cents = primary.cents;
+      needle.midi = primary.nearestMidi;
+    } else {
+      needle.cents += this.tunerReactivity * (primary.cents - needle.cents);
+    }
+
+    const octave = Math.floor(primary.nearestMidi / 12) - 1;
+    this.state.tuner = {
+      noteName: `${this.pitchClasses[primary.pitchClass]}${octave}`,
+      cents: needle.cents,
+      freq: primary.freq,
+      prominenceDb: primary.prominenceDb
+    };
+  }
+
   invalidate() {
     this.dirty = true;
     this.render();
   }
 
   update(leftState, rightState) {
+    const touched = this.isClipLampTouched([leftState, rightState]);
+    if (touched && !this.clipLampTouched && typeof this.onClipReset === 'function') {
+      this.onClipReset();
+    }
+    this.clipLampTouched = touched;
     return this.controller.update(leftState, rightState);
   }
 
+  /** Whether a fingertip is on (within 2 cm in front of or behind) the clip lamp. */
+  isClipLampTouched(handStates) {
+    const rect = this.clipLampRect;
+    if (!rect) return false;
+    const { width, height } = this.graphMesh.geometry.parameters;
+    const padding = 8;
+    this.graphMesh.updateWorldMatrix(true, false);
+    for (const handState of handStates) {
+      if (!handState?.visible) continue;
+      const contactPoints = Array.isArray(handState.contactPoints) ? handState.contactPoints : [];
+      for (const point of contactPoints) {
+        lampWorkVector.copy(point);
+        this.graphMesh.worldToLocal(lampWorkVector);
+        if (Math.abs(lampWorkVector.z) > 0.02) continue;
+        const x = (lampWorkVector.x / width + 0.5) * this.canvas.width;
+        const y = (0.5 - lampWorkVector.y / height) * this.canvas.height;
+        if (
+          x >= rect.x - padding && x <= rect.x + rect.width + padding &&
+          y >= rect.y - padding && y <= rect.y + rect.height + padding
+        ) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
   render() {
     if (!this.dirty) return;
     this.dirty = false;
@@ -184,21 +292,30 @@ export class SoundPanel {
 
     ctx.font = '500 30px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
     ctx.fillStyle = this.state.statusType === 'error' ? '#ff9ebd' : '#f1f6ff';
-    ctx.fillText(this.state.status, 48, 120);
+    const statusLine = this.state.source ? `${this.state.source}: ${this.state.status}` : this.state.status;
+    ctx.fillText(statusLine, 48, 120);
+
+    this.renderTempo(canvas.width - 48, 42);
 
     const graphLeft = 60;
     const graphTop = 170;
     const infoWidth = 220;
+    const harmonyWidth = 244;
     const infoGap = 24;
-    const graphWidth = canvas.width - graphLeft * 2 - infoWidth - infoGap;
+    const graphWidth = canvas.width - graphLeft * 2 - infoWidth - harmonyWidth - infoGap * 2;
     const graphHeight = 200;
     const infoLeft = graphLeft + graphWidth + infoGap;
+    // The dB meter takes the right end of the graph row; the history uses the rest.
+    const meterWidth = 96;
+    const historyWidth = graphWidth - meterWidth - 14;
+    const infoHeight = 440;
+    const harmonyLeft = infoLeft + infoWidth + infoGap;
 
     ctx.fillStyle = '#0a2431';
-    ctx.fillRect(graphLeft, graphTop, graphWidth, graphHeight);
+    ctx.fillRect(graphLeft, graphTop, historyWidth, graphHeight);
 
     ctx.fillStyle = '#041924';
-    ctx.fillRect(infoLeft, graphTop, infoWidth, graphHeight);
+    ctx.fillRect(infoLeft, graphTop, infoWidth, infoHeight);
 
     ctx.strokeStyle = '#134d4c';
     ctx.lineWidth = 2;
@@ -207,19 +324,19 @@ export class SoundPanel {
       const y = graphTop + (graphHeight / horizontalDivisions) * i;
       ctx.beginPath();
       ctx.moveTo(graphLeft, y);
-      ctx.lineTo(graphLeft + graphWidth, y);
+      ctx.lineTo(graphLeft + historyWidth, y);
       ctx.stroke();
     }
-    ctx.strokeRect(graphLeft, graphTop, graphWidth, graphHeight);
+    ctx.strokeRect(graphLeft, graphTop, historyWidth, graphHeight);
 
     ctx.strokeStyle = '#103441';
-    ctx.strokeRect(infoLeft, graphTop, infoWidth, graphHeight);
+    ctx.strokeRect(infoLeft, graphTop, infoWidth, infoHeight);
 
     const points = this.history;
     if (points.length > 1) {
       ctx.beginPath();
       points.forEach((value, index) => {
-        const x = graphLeft + (graphWidth * index) / (points.length - 1);
+        const x = graphLeft + (historyWidth * index) / (points.length - 1);
         const y = graphTop + graphHeight - value * graphHeight;
         if (index === 0) {
           ctx.moveTo(x, y);
@@ -227,7 +344,7 @@ export class SoundPanel {
           ctx.lineTo(x, y);
         }
       });
-      ctx.lineTo(graphLeft + graphWidth, graphTop + graphHeight);
+      ctx.lineTo(graphLeft + historyWidth, graphTop + graphHeight);
       ctx.lineTo(graphLeft, graphTop + graphHeight);
       ctx.closePath();
       ctx.fillStyle = 'rgba(0, 255, 204, 0.3)';
@@ -237,6 +354,9 @@ export class SoundPanel {
       ctx.stroke();
     }
 
+    this.renderNoiseState(graphLeft + 10, graphTop + 8, historyWidth - 20);
+    this.renderLoudness(graphLeft + graphWidth - meterWidth, graphTop, meterWidth, graphHeight);
+
     const percent = Math.round(this.state.level * 100);
     ctx.fillStyle = '#00ffcc';
     ctx.font = '600 40px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
@@ -246,6 +366,8 @@ export class SoundPanel {
     ctx.font = '500 30px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
     ctx.fillText(`RMS: ${this.state.rms.toFixed(3)}`, 320, graphTop + graphHeight + 36);
 
+    this.renderTuner(graphLeft, graphTop + graphHeight + 90, graphWidth, 150);
+
     ctx.textAlign = 'left';
     ctx.fillStyle = '#d1f8ff';
     ctx.font = '600 28px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
@@ -283,6 +405,313 @@ export class SoundPanel {
       ctx.fillText(`φ ${phase.toFixed(3)}`, infoLeft + 130, y);
     }
 
+    this.renderHarmony(harmonyLeft, graphTop, harmonyWidth, infoHeight);
+
     this.texture.needsUpdate = true;
   }
+
+  renderHarmony(left, top, width, height) {
+    const { ctx } = this;
+    const chord = this.state.chord;
+
+    ctx.fillStyle = '#041924';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = '#103441';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '600 28px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillText('Chord', left + 12, top + 20);
+
+    ctx.font = '700 56px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = chord ? '#ffd27f' : '#7aa1ad';
+    ctx.fillText(chord ? chord.label : '—', left + 12, top + 56);
+
+    ctx.font = '500 22px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#d2ebff';
+    if (chord) {
+      ctx.fillText(`match ${(chord.confidence * 100).toFixed(0)}%`, left + 12, top + 120);
+      if (chord.runnerUp) {
+        ctx.fillStyle = '#7aa1ad';
+        ctx.fillText(`next: ${chord.runnerUp}`, left + 12, top + 146);
+      }
+    } else {
+      ctx.fillText('no chord', left + 12, top + 120);
+    }
+
+    const key = this.state.key;
+    const keyTop = top + 190;
+    ctx.strokeStyle = '#103441';
+    ctx.beginPath();
+    ctx.moveTo(left + 12, keyTop - 14);
+    ctx.lineTo(left + width - 12, keyTop - 14);
+    ctx.stroke();
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '600 28px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillText('Key', left + 12, keyTop);
+    ctx.font = '700 34px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = key ? '#9de6ff' : '#7aa1ad';
+    ctx.fillText(key ? key.label : '—', left + 12, keyTop + 38);
+    ctx.font = '500 22px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#d2ebff';
+    ctx.fillText(key ? `r = ${key.correlation.toFixed(2)}` : 'listening…', left + 12, keyTop + 84);
+
+    this.renderReference(left, keyTop + 130, width);
+  }
+
+  /**
+   * dBFS meter: sample peak (left bar) with its hold mark, RMS (right bar),
+   * a clip lamp with the clip count and the short-term loudness below.
+   * Touching the lamp resets the count (see `onClipReset`).
+   */
+  renderLoudness(left, top, width, height) {
+    const { ctx } = this;
+    const loudness = this.state.loudness;
+    const minDb = -60;
+    const lampHeight = 24;
+    const footerHeight = 46;
+    const scaleTop = top + lampHeight + 6;
+    const scaleHeight = height - lampHeight - footerHeight - 6;
+    const dbToY = (db) =>
+      scaleTop + scaleHeight * (1 - (THREE.MathUtils.clamp(db, minDb, 0) - minDb) / -minDb);
+
+    ctx.fillStyle = '#041924';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = '#134d4c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+
+    const recentClip = Boolean(
+      loudness && loudness.lastClipTime !== null && loudness.time - loudness.lastClipTime < 2
+    );
+    ctx.fillStyle = recentClip ? '#ff4f7b' : '#1a2f3a';
+    this.clipLampRect = { x: left + 4, y: top + 4, width: width - 8, height: lampHeight - 4 };
+    ctx.fillRect(this.clipLampRect.x, this.clipLampRect.y, this.clipLampRect.width, this.clipLampRect.height);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = '600 15px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = recentClip ? '#ffffff' : '#7aa1ad';
+    ctx.fillText(`clip ${loudness?.clipCount ?? 0}`, left + width / 2, top + 2 + lampHeight / 2);
+
+    ctx.textAlign = 'right';
+    ctx.font = '500 13px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    [0, -6, -12, -24, -48].forEach((db) => {
+      const y = dbToY(db);
+      ctx.fillStyle = '#7aa1ad';
+      ctx.fillText(`${db}`, left + 30, y);
+      ctx.fillStyle = '#134d4c';
+      ctx.fillRect(left + 33, y, width - 37, 1);
+    });
+
+    const gradient = ctx.createLinearGradient(0, dbToY(0), 0, dbToY(minDb));
+    gradient.addColorStop(0, '#ff4f7b');
+    gradient.addColorStop(0.1, '#ffd27f');
+    gradient.addColorStop(0.3, '#00ffcc');
+    gradient.addColorStop(1, '#00ffcc');
+    const barWidth = (width - 44) / 2;
+    const peakLeft = left + 36;
+    const rmsLeft = peakLeft + barWidth + 4;
+    if (loudness) {
+      ctx.fillStyle = gradient;
+      const peakY = dbToY(loudness.peakDb);
+      ctx.fillRect(peakLeft, peakY, barWidth, scaleTop + scaleHeight - peakY);
+      const rmsY = dbToY(loudness.rmsDb);
+      ctx.fillRect(rmsLeft, rmsY, barWidth, scaleTop + scaleHeight - rmsY);
+      if (loudness.peakHoldDb > minDb) {
+        ctx.fillStyle = '#f1f6ff';
+        ctx.fillRect(peakLeft, dbToY(loudness.peakHoldDb) - 1, barWidth, 3);
+      }
+    }
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.font = '500 15px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    const footerTop = top + height - footerHeight + 4;
+    const formatDb = (db) => (db > -100 ? db.toFixed(1).replace('-', '−') : '—');
+    ctx.fillStyle = '#d2ebff';
+    ctx.fillText(`pk ${loudness ? formatDb(loudness.peakHoldDb) : '—'}`, left + 6, footerTop);
+    ctx.fillStyle = '#9de6ff';
+    ctx.fillText(`ST ${loudness ? formatDb(loudness.shortTermLufs) : '—'}`, left + 6, footerTop + 20);
+  }
+
+  renderNoiseState(left, top, width) {
+    const { ctx } = this;
+    const noise = this.state.noise;
+    if (!noise) return;
+
+    const parts = [];
+    if (noise.state === 'calibrating') {
+      parts.push(`calibrating ${Math.round(noise.progress * 100)}% — stay quiet`);
+    } else if (noise.state === 'calibrated') {
+      parts.push('profile');
+    }
+    if (noise.adaptive) {
+      parts.push('adaptive');
+    }
+    const label = `noise: ${parts.length > 0 ? parts.join(' + ') : 'none'}`;
+    let color = parts.length > 0 ? '#9de6ff' : '#7aa1ad';
+    if (noise.state === 'calibrating') {
+      color = '#ffd27f';
+    }
+
+    ctx.font = '500 20px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = color;
+    ctx.fillText(label, left, top, width);
+
+    if (noise.state === 'calibrating') {
+      ctx.fillStyle = 'rgba(255, 210, 127, 0.25)';
+      ctx.fillRect(left, top + 26, width, 6);
+      ctx.fillStyle = '#ffd27f';
+      ctx.fillRect(left, top + 26, width * noise.progress, 6);
+    }
+  }
+
+  renderTempo(right, top) {
+    const { ctx } = this;
+    const rhythm = this.state.rhythm;
+    const hasTempo = Boolean(rhythm && rhythm.bpm > 0);
+
+    ctx.textAlign = 'right';
+    ctx.font = '700 48px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = hasTempo ? '#f1f6ff' : '#7aa1ad';
+    ctx.fillText(hasTempo ? `${rhythm.bpm.toFixed(1)} BPM` : '— BPM', right, top);
+    ctx.font = '500 22px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#7aa1ad';
+    ctx.fillText(hasTempo ? `tempo conf ${(rhythm.confidence * 100).toFixed(0)}%` : 'no tempo', right, top + 56);
+    ctx.textAlign = 'left';
+
+    // Beat lamp: bright on the beat, fading across the beat period.
+    const flash = hasTempo ? (1 - rhythm.beatPhase) ** 2 : 0;
+    ctx.beginPath();
+    ctx.arc(right - 300, top + 24, 16, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(255, 210, 127, ${0.15 + 0.85 * flash})`;
+    ctx.fill();
+  }
+
+  renderReference(left, top, width) {
+    const { ctx } = this;
+    const reference = this.state.reference;
+    const estimate = reference?.estimate ?? null;
+
+    ctx.strokeStyle = '#103441';
+    ctx.beginPath();
+    ctx.moveTo(left + 12, top - 14);
+    ctx.lineTo(left + width - 12, top - 14);
+    ctx.stroke();
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '600 28px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillText('A4 ref', left + 12, top);
+
+    ctx.font = '500 22px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    if (!reference) {
+      ctx.fillStyle = '#7aa1ad';
+      ctx.fillText('—', left + 12, top + 40);
+      return;
+    }
+
+    const modeLabel = reference.locked ? 'locked' : reference.mode;
+    ctx.fillStyle = reference.locked ? '#ffd27f' : '#9de6ff';
+    ctx.fillText(`use ${reference.refA4.toFixed(1)} Hz`, left + 12, top + 38);
+
+    ctx.fillStyle = estimate ? '#d2ebff' : '#7aa1ad';
+    if (estimate) {
+      const sign = estimate.cents >= 0 ? '+' : '−';
+      ctx.fillText(
+        `est ${estimate.refA4.toFixed(1)} ${sign}${Math.abs(estimate.cents).toFixed(1)}¢`,
+        left + 12,
+        top + 66
+      );
+      ctx.fillText(`${(estimate.confidence * 100).toFixed(0)}% · ${modeLabel}`, left + 12, top + 94);
+    } else {
+      ctx.fillText('est —', left + 12, top + 66);
+      ctx.fillText(modeLabel, left + 12, top + 94);
+    }
+  }
+
+  renderTuner(left, top, width, height) {
+    const { ctx } = this;
+    const tuner = this.state.tuner;
+
+    ctx.fillStyle = '#0a2431';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = '#134d4c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '600 24px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillText('Tuner', left + 14, top + 12);
+
+    ctx.font = '700 48px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = tuner ? '#00ffcc' : '#7aa1ad';
+    ctx.fillText(tuner ? tuner.noteName : '—', left + 14, top + 46);
+
+    ctx.font = '500 22px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#d2ebff';
+    if (tuner) {
+      const sign = tuner.cents >= 0 ? '+' : '';
+      ctx.fillText(`${sign}${tuner.cents.toFixed(1)}¢`, left + 14, top + 100);
+      ctx.fillText(`${tuner.freq.toFixed(1)} Hz`, left + 14, top + 124);
+    } else {
+      ctx.fillText('no pitch', left + 14, top + 100);
+    }
+
+    // ±50 cent arc gauge, 0¢ pointing straight up.
+    const centerX = left + width - 120;
+    const centerY = top + height - 16;
+    const radius = 104;
+    const maxAngle = Math.PI / 3;
+    const centsToAngle = (cents) => (THREE.MathUtils.clamp(cents, -50, 50) / 50) * maxAngle - Math.PI / 2;
+
+    ctx.strokeStyle = '#1f6a6a';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, centsToAngle(-50), centsToAngle(50));
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.font = '500 16px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    for (let cents = -50; cents <= 50; cents += 10) {
+      const angle = centsToAngle(cents);
+      const major = cents % 50 === 0;
+      const inner = radius - (major ? 16 : 9);
+      ctx.strokeStyle = cents === 0 ? '#00ffcc' : '#4f8f99';
+      ctx.lineWidth = major ? 3 : 2;
+      ctx.beginPath();
+      ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+      ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+      ctx.stroke();
+      if (major) {
+        ctx.fillStyle = '#7aa1ad';
+        const labelRadius = radius + 14;
+        ctx.fillText(
+          `${cents > 0 ? '+' : ''}${cents}`,
+          centerX + Math.cos(angle) * labelRadius,
+          centerY + Math.sin(angle) * labelRadius - 8
+        );
+      }
+    }
+
+    if (tuner) {
+      const angle = centsToAngle(tuner.cents);
+      const inTune = Math.abs(tuner.cents) <= 5;
+      ctx.strokeStyle = inTune ? '#00ffcc' : '#ffd27f';
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.moveTo(centerX, centerY);
+      ctx.lineTo(centerX + Math.cos(angle) * (radius - 6), centerY + Math.sin(angle) * (radius - 6));
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.textAlign = 'left';
+  }
 }
@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+import { DoubleGrabController } from '../interactions/DoubleGrabController.js';
+import { DFT_QUALITIES } from '../audio/pcdDft.js';
+
+/**
+ * Reads the DFT coefficients k = 1…6 of the PCD as tonal qualities
+ * (chromaticity … whole-tone quality). Each row shows the amplitude as a bar
+ * gauge, its history over the last `historySeconds` as a sparkline and the
+ * phase as a phasor dial whose hand length is the amplitude.
+ *
+ * Amplitudes of a PCD that sums to 1 lie in 0…1. History is sampled at
+ * `historyRate` Hz and the canvas is redrawn at most `updateRate` times per
+ * second.
+ */
+export class TonalQualityPanel {
+  constructor({
+    // Above the right half of the log cluster, next to the chromagram.
+    position = new THREE.Vector3(0.6, 2.26, -1.2),
+    rotation = new THREE.Euler(Math.PI / 10, 0, 0),
+    header = 'Tonal Qualities (DFT)',
+    historySeconds = 8,
+    historyRate = 10,
+    updateRate = 15
+  } = {}) {
+    this.group = new THREE.Group();
+    if (position instanceof THREE.Vector3) {
+      this.group.position.copy(position);
+    } else if (Array.isArray(position)) {
+      this.group.position.fromArray(position);
+    } else if (position && typeof position === 'object') {
+      this.group.position.set(position.x ?? 0, position.y ?? 0, position.z ?? 0);
+    }
+    if (rotation instanceof THREE.Euler) {
+      this.group.rotation.copy(rotation);
+    } else if (Array.isArray(rotation)) {
+      this.group.rotation.set(rotation[0] ?? 0, rotation[1] ?? 0, rotation[2] ?? 0);
+    } else if (rotation && typeof rotation === 'object') {
+      this.group.rotation.set(rotation.x ?? 0, rotation.y ?? 0, rotation.z ?? 0);
+    }
+
+    this.header = header;
+    this.historySeconds = Math.max(1, historySeconds);
+    this.historyRate = Math.max(1, historyRate);
+    this.updateRate = Math.max(1, updateRate);
+    this.historyLength = Math.max(2, Math.round(this.historySeconds * this.historyRate));
+    this.history = DFT_QUALITIES.map(() => new Array(this.historyLength).fill(0));
+    this.amplitudes = new Float32Array(7);
+    this.phases = new Float32Array(7);
+    this.lastSampleTime = null;
+    this.lastRenderTime = -Infinity;
+    this.ready = false;
+    this.dirty = true;
+
+    this.panelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x132f41,
+      emissive: 0x0b3c57,
+      emissiveIntensity: 0.48,
+      metalness: 0.25,
+      roughness: 0.55,
+      side: THREE.DoubleSide
+    });
+    this.panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.1, 0.62), this.panelMaterial);
+    this.group.add(this.panelMesh);
+
+    const frameMaterial = new THREE.MeshStandardMaterial({
+      color: 0x050f16,
+      emissive: 0x050f16,
+      emissiveIntensity: 0.3,
+      metalness: 0.25,
+      roughness: 0.7,
+      side: THREE.DoubleSide
+    });
+    this.frameMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.14, 0.66), frameMaterial);
+    this.frameMesh.position.set(0, 0, -0.012);
+    this.group.add(this.frameMesh);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1024;
+    this.canvas.height = 576;
+    this.ctx = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+
+    const graphMaterial = new THREE.MeshBasicMaterial({ map: this.texture });
+    graphMaterial.depthTest = true;
+    graphMaterial.depthWrite = false;
+    this.graphMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.06, 0.596), graphMaterial);
+    this.graphMesh.position.set(0, 0, 0.004);
+    this.graphMesh.renderOrder = 15;
+    this.group.add(this.graphMesh);
+
+    this.controller = new DoubleGrabController(this.group, {
+      proximity: 0.055,
+      intersectionPadding: 0.03,
+      minScale: 0.5,
+      maxScale: 2.2,
+      onReadyChange: (ready) => this.setReady(ready)
+    });
+
+    this.render();
+  }
+
+  setReady(ready) {
+    if (this.ready === ready) return;
+    this.ready = ready;
+    this.panelMaterial.emissiveIntensity = ready ? 0.95 : 0.45;
+    this.dirty = true;
+  }
+
+  /**
+   * @param {{ dft?: { amplitudes: ArrayLike<number>, phases: ArrayLike<number> } }} frame
+   * @param {number} time - Seconds on a monotonic clock (e.g. `clock.elapsedTime`).
+   */
+  pushFrame({ dft = null } = {}, time) {
+    if (dft?.amplitudes?.length === 7 && dft.phases?.length === 7) {
+      this.amplitudes.set(dft.amplitudes);
+      this.phases.set(dft.phases);
+    } else {
+      this.amplitudes.fill(0);
+      this.phases.fill(0);
+    }
+
+    if (this.lastSampleTime === null || time < this.lastSampleTime) {
+      this.lastSampleTime = time;
+    }
+    const samples = Math.floor((time - this.lastSampleTime) * this.historyRate);
+    if (samples > 0) {
+      this.lastSampleTime += samples / this.historyRate;
+      for (let i = 0; i < Math.min(samples, this.historyLength); i += 1) {
+        this.history.forEach((values, row) => {
+          values.push(this.amplitudes[DFT_QUALITIES[row].k]);
+          values.shift();
+        });
+      }
+    }
+
+    if (time - this.lastRenderTime >= 1 / this.updateRate || time < this.lastRenderTime) {
+      this.lastRenderTime = time;
+      this.dirty = true;
+      this.render();
+    }
+  }
+
+  update(leftState, rightState) {
+    const status = this.controller.update(leftState, rightState);
+    if (this.dirty) {
+      this.render();
+    }
+    return status;
+  }
+
+  render() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const { ctx, canvas } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = this.ready ? '#073545' : '#071824';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = this.ready ? '#00ffcc' : '#0f3a44';
+    ctx.lineWidth = this.ready ? 12 : 6;
+    ctx.strokeRect(18, 18, canvas.width - 36, canvas.height - 36);
+
+    ctx.fillStyle = '#d1f8ff';
+    ctx.font = '700 44px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(this.header, 48, 38);
+
+    const top = 108;
+    const rowHeight = (canvas.height - top - 40) / DFT_QUALITIES.length;
+    DFT_QUALITIES.forEach((quality, row) => {
+      this.renderRow(quality, this.history[row], top + row * rowHeight, rowHeight);
+    });
+
+    this.texture.needsUpdate = true;
+  }
+
+  renderRow({ k, label }, history, top, height) {
+    const { ctx } = this;
+    const amplitude = Math.min(1, Math.max(0, this.amplitudes[k]));
+    const phase = this.phases[k];
+    const middle = top + height / 2;
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = '600 26px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#d1f8ff';
+    ctx.fillText(label, 48, middle - 12);
+    ctx.font = '500 20px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#7aa1ad';
+    ctx.fillText(`k=${k}`, 48, middle + 16);
+
+    // Bar gauge with the numeric amplitude.
+    const barLeft = 300;
+    const barWidth = 250;
+    const barHeight = Math.min(30, height * 0.45);
+    ctx.fillStyle = '#0a2431';
+    ctx.fillRect(barLeft, middle - barHeight / 2, barWidth, barHeight);
+    ctx.fillStyle = '#00ffcc';
+    ctx.fillRect(barLeft, middle - barHeight / 2, barWidth * amplitude, barHeight);
+    ctx.strokeStyle = '#134d4c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(barLeft, middle - barHeight / 2, barWidth, barHeight);
+    ctx.font = '500 22px "Fira Mono", "SFMono-Regular", Menlo, Consolas, monospace';
+    ctx.fillStyle = '#f1f6ff';
+    ctx.fillText(amplitude.toFixed(2), barLeft + barWidth + 12, middle);
+
+    // History sparkline, oldest on the left.
+    const sparkLeft = 640;
+    const sparkWidth = 230;
+    const sparkTop = top + 8;
+    const sparkHeight = height - 16;
+    ctx.fillStyle = '#041924';
+    ctx.fillRect(sparkLeft, sparkTop, sparkWidth, sparkHeight);
+    ctx.beginPath();
+    history.forEach((value, index) => {
+      const x = sparkLeft + (sparkWidth * index) / (history.length - 1);
+      const y = sparkTop + sparkHeight - Math.min(1, value) * sparkHeight;
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.strokeStyle = '#9de6ff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Phasor dial: angle is the phase, hand length the amplitude.
+    const radius = Math.min(30, height / 2 - 6);
+    const centerX = this.canvas.width - 48 - radius;
+    ctx.strokeStyle = '#1f6a6a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(centerX, middle, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.strokeStyle = amplitude > 0 ? '#ffd27f' : '#4f8f99';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(centerX, middle);
+    // Canvas y grows downwards, so negate to keep counter-clockwise phases.
+    ctx.lineTo(
+      centerX + Math.cos(phase) * radius * amplitude,
+      middle - Math.sin(phase) * radius * amplitude
+    );
+    ctx.stroke();
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Smoothing filters driven by elapsed time rather than by frame count, so a
+ * signal settles equally fast whether it is sampled at 43 Hz (analysis hops),
+ * 60 Hz (desktop) or 72–120 Hz (headsets). Every filter has
+ * `filter(value, dt)` and `reset()`; `dt` is in seconds.
+ *
+ * Config objects select the filter:
+ * - `{ type: 'ema', timeConstant }` – one-pole low-pass, reaches 63% of a step
+ *   after `timeConstant` seconds;
+ * - `{ type: 'median', size }` – median of the last `size` samples (this one
+ *   is counted in samples by definition);
+ * - `{ type: 'oneEuro', minCutoff, beta, dCutoff }` – speed-adaptive
+ *   low-pass (Casiez et al. 2012): smooth when still, responsive when moving;
+ * - `{ type: 'none' }`.
+ */
+
+export const SMOOTHING_FILTER_TYPES = ['none', 'ema', 'median', 'oneEuro'];
+
+const DEFAULT_FILTER_CONFIG = {
+  type: 'ema',
+  timeConstant: 0.05,
+  size: 5,
+  minCutoff: 1.5,
+  beta: 0.4,
+  dCutoff: 1
+};
+
+/**
+ * Fills in defaults and clamps a filter config. A bare type string is
+ * accepted as shorthand.
+ * @param {object | string} config
+ * @param {object} [fallback] - Defaults for missing fields.
+ */
+export function normalizeFilterConfig(config, fallback = DEFAULT_FILTER_CONFIG) {
+  const merged = {
+    ...DEFAULT_FILTER_CONFIG,
+    ...fallback,
+    ...(typeof config === 'string' ? { type: config } : config || {})
+  };
+  return {
+    type: SMOOTHING_FILTER_TYPES.includes(merged.type) ? merged.type : 'ema',
+    timeConstant: Math.max(0, Number(merged.timeConstant) || 0),
+    size: Math.max(1, Math.floor(merged.size) || 1),
+    minCutoff: Math.max(1e-3, Number(merged.minCutoff) || DEFAULT_FILTER_CONFIG.minCutoff),
+    beta: Math.max(0, Number(merged.beta) || 0),
+    dCutoff: Math.max(1e-3, Number(merged.dCutoff) || DEFAULT_FILTER_CONFIG.dCutoff)
+  };
+}
+
+/** Blend factor of a one-pole low-pass with cutoff `cutoff` Hz over `dt` seconds. */
+function lowPassAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+class PassThroughFilter {
+  filter(value) {
+    return value;
+  }
+
+  reset() {}
+}
+
+class EmaFilter {
+  constructor({ timeConstant }) {
+    this.timeConstant = timeConstant;
+    this.value = null;
+  }
+
+  filter(value, dt) {
+    if (this.value === null || this.timeConstant <= 0) {
+      this.value = value;
+    } else if (dt > 0) {
+      this.value += (value - this.value) * (1 - Math.exp(-dt / this.timeConstant));
+    }
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+class MedianFilter {
+  constructor({ size }) {
+    this.size = size;
+    this.history = [];
+  }
+
+  filter(value) {
+    this.history.push(value);
+    if (this.history.length > this.size) {
+      this.history.shift();
+    }
+    const sorted = this.history.slice().sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 === 1 ? sorted[middle] : 0.5 * (sorted[middle - 1] + sorted[middle]);
+  }
+
+  reset() {
+    this.history = [];
+  }
+}
+
+class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.value = null;
+    this.derivative = 0;
+  }
+
+  filter(value, dt) {
+    if (this.value === null) {
+      this.value = value;
+      this.derivative = 0;
+      return value;
+    }
+    if (!(dt > 0)) {
+      return this.value;
+    }
+    const rawDerivative = (value - this.value) / dt;
+    this.derivative += (rawDerivative - this.derivative) * lowPassAlpha(this.dCutoff, dt);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += (value - this.value) * lowPassAlpha(cutoff, dt);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+  }
+}
+
+/**
+ * @param {object | string} config - See the module comment.
+ * @returns {{ filter(value: number, dt: number): number, reset(): void }}
+ */
+export function createFilter(config) {
+  const normalized = normalizeFilterConfig(config);
+  switch (normalized.type) {
+    case 'none':
+      return new PassThroughFilter();
+    case 'median':
+      return new MedianFilter(normalized);
+    case 'oneEuro':
+      return new OneEuroFilter(normalized);
+    default:
+      return new EmaFilter(normalized);
+  }
+}
+
+/** Applies one filter per element to fixed-length arrays such as the PCD. */
+export class ArrayFilter {
+  constructor(config, length) {
+    this.filters = Array.from({ length }, () => createFilter(config));
+  }
+
+  /**
+   * @param {ArrayLike<number>} input
+   * @param {Float32Array} out
+   * @param {number} dt
+   * @returns {Float32Array} `out`
+   */
+  apply(input, out, dt) {
+    for (let i = 0; i < this.filters.length; i += 1) {
+      out[i] = this.filters[i].filter(input[i], dt);
+    }
+    return out;
+  }
+
+  reset() {
+    this.filters.forEach((filter) => filter.reset());
+  }
+}
+
+const TWO_PI = Math.PI * 2;
+
+function wrapAngle(angle) {
+  return angle - TWO_PI * Math.round(angle / TWO_PI);
+}
+
+/**
+ * Filters an angle in radians. Input is unwrapped against the previous
+ * sample first, so a step from +179° to −179° is a 2° move rather than a
+ * 358° sweep; the output is wrapped back into [−π, π].
+ */
+export class AngleFilter {
+  constructor(config) {
+    this.inner = createFilter(config);
+    this.unwrapped = null;
+  }
+
+  filter(angle, dt) {
+    if (this.unwrapped === null) {
+      this.unwrapped = angle;
+    } else {
+      this.unwrapped += wrapAngle(angle - this.unwrapped);
+    }
+    const value = this.inner.filter(this.unwrapped, dt);
+    if (Math.abs(this.unwrapped) > 64 * Math.PI) {
+      // Long spins: restart near zero before precision suffers.
+      this.inner.reset();
+      this.unwrapped = wrapAngle(this.unwrapped);
+    }
+    return wrapAngle(value);
+  }
+
+  reset() {
+    this.inner.reset();
+    this.unwrapped = null;
+  }
+}